@@ -4,6 +4,8 @@ const testConfig = require('./lib/config/tests');
 const Broker = require('./lib/amqp/Broker');
 const BrokerAsPromised = require('./lib/amqp/BrokerAsPromised');
 const counters = require('./lib/counters');
+const deduplicationStores = require('./lib/deduplication');
+const { parseXDeath } = require('./lib/amqp/XDeath');
 
 module.exports = (function () {
   return {
@@ -20,5 +22,7 @@ module.exports = (function () {
       return _.defaultsDeep({}, config, testConfig);
     },
     counters,
+    deduplicationStores,
+    parseXDeath,
   };
 }());
@@ -4,17 +4,25 @@ const inherits = require('util').inherits;
 const EventEmitter = require('events').EventEmitter;
 const _ = require('lodash');
 const async = require('async');
+const uuid = require('uuid').v4;
+const Stashback = require('stashback');
 const tasks = require('./tasks');
+const DeadLetters = require('./DeadLetters');
+const Quarantine = require('./Quarantine');
 const configure = require('../config/configure');
 const validate = require('../config/validate');
 const fqn = require('../config/fqn');
+const decodeContent = require('../utils/decodeContent');
 
-const preflight = async.compose(validate, configure);
 const stub = require('../counters/stub');
 const inMemory = require('../counters/inMemory');
 const inMemoryCluster = require('../counters/inMemoryCluster').worker;
+const xDeliveryCount = require('../counters/xDeliveryCount');
+const file = require('../counters/file');
+const deduplication = require('../deduplication');
 
 const maxInterval = 2147483647;
+const defaultReplyTimeout = 10000;
 
 module.exports = {
   create: function create(config, components, next) {
@@ -24,24 +32,44 @@ module.exports = {
       stub,
       inMemory,
       inMemoryCluster,
+      xDeliveryCount,
+      file,
     });
 
-    preflight(_.cloneDeep(config), (err, augmentedConfig) => {
+    const deduplicationStores = _.defaults({}, components.deduplicationStores, deduplication);
+    const codecs = _.defaults({}, components.codecs);
+    const recoveryStrategies = _.defaults({}, components.recoveryStrategies);
+    const augmentedComponents = _.assign({}, components, {
+      counters, deduplicationStores, codecs, recoveryStrategies,
+    });
+
+    preflight(_.cloneDeep(config), augmentedComponents, (err, augmentedConfig) => {
       if (err) return next(err);
-      new Broker(augmentedConfig, _.assign({}, components, { counters }))._init(next);
+      new Broker(augmentedConfig, augmentedComponents)._init(next);
     });
   },
 };
 
 inherits(Broker, EventEmitter);
 
+function preflight(config, components, next) {
+  configure(config, (err, configuredConfig) => {
+    if (err) return next(err);
+    validate(configuredConfig, components, next);
+  });
+}
+
 function Broker(config, components) {
   const self = this;
   let vhosts = {};
   let publications = {};
   let subscriptions = {};
   let sessions = [];
-  const init = async.compose(tasks.initShovels, tasks.initSubscriptions, tasks.initPublications, tasks.initCounters, tasks.initVhosts);
+  let replyConsumers = {};
+  const pendingReplies = Stashback();
+  const replyConsumerCreator = async.queue(createReplyConsumer, 1);
+  const quarantine = config.quarantine && new Quarantine(config.quarantine);
+  const init = async.compose(tasks.initShovels, tasks.initSubscriptions, tasks.initPublications, tasks.initDeduplicationStores, tasks.initCounters, tasks.initVhosts);
   const nukeVhost = async.compose(tasks.deleteVhost, tasks.shutdownVhost, tasks.nukeVhost);
   const purgeVhost = tasks.purgeVhost;
   const forewarnVhost = tasks.forewarnVhost;
@@ -57,6 +85,7 @@ function Broker(config, components) {
     publications = {};
     subscriptions = {};
     sessions = [];
+    replyConsumers = {};
     init(config, { broker: self, components }, (err) => {
       self.keepActive = setInterval(_.noop, maxInterval);
       setImmediate(() => {
@@ -160,6 +189,13 @@ function Broker(config, components) {
     publications[name].publish(message, overrides, next);
   };
 
+  this.publishBatch = function (name, messages, overrides, next) {
+    if (arguments.length === 3) return self.publishBatch(name, messages, {}, arguments[2]);
+    if (_.isString(overrides)) return self.publishBatch(name, messages, { routingKey: overrides }, next);
+    if (!publications[name]) return next(new Error(format('Unknown publication: %s', name)));
+    publications[name].publishBatch(messages, overrides, next);
+  };
+
   this.forward = function (name, message, overrides, next) {
     if (arguments.length === 3) return self.forward(name, message, {}, arguments[2]);
     if (_.isString(overrides)) return self.forward(name, message, { routingKey: overrides }, next);
@@ -167,6 +203,71 @@ function Broker(config, components) {
     publications[name].forward(message, overrides, next);
   };
 
+  this.request = function (name, payload, options, next) {
+    if (arguments.length === 3) return self.request(name, payload, {}, arguments[2]);
+    if (!publications[name]) return next(new Error(format('Unknown publication: %s', name)));
+    const vhostName = config.publications[name].vhost;
+
+    replyConsumerCreator.push(vhostName, (err, replyConsumer) => {
+      if (err) return next(err);
+
+      const correlationId = uuid();
+      const timeout = options.timeout || defaultReplyTimeout;
+      const onExpiry = (key, cb) => cb(new Error(format('Timedout after %dms waiting for a reply to request: %s from publication: %s', timeout, correlationId, name)));
+      const once = _.once((...args) => {
+        replyConsumer.correlationIds.delete(correlationId);
+        next(...args);
+      });
+
+      replyConsumer.correlationIds.add(correlationId);
+      pendingReplies.stash(correlationId, once, { timeout, onExpiry }, (err) => {
+        if (err) return once(err);
+        const overrides = _.defaultsDeep({ options: { correlationId, replyTo: replyConsumer.queue } }, _.omit(options, 'timeout'));
+        self.publish(name, payload, overrides, (err, publication) => {
+          if (err) return rejectRequest(correlationId, err);
+          publication.on('error', (err) => {
+            rejectRequest(correlationId, err);
+          });
+          publication.on('return', () => {
+            rejectRequest(correlationId, new Error(format('Request: %s to publication: %s was returned', correlationId, name)));
+          });
+        });
+      });
+    });
+  };
+
+  this.respond = function (name, handler, next) {
+    if (!subscriptions[name]) return next(new Error(format('Unknown subscription: %s', name)));
+    const replyPublication = config.subscriptions[name].vhost === '/' ? '/' : format('%s/', config.subscriptions[name].vhost);
+    self.subscribe(name, { promisifyAckOrNack: false }, (err, session) => {
+      if (err) return next(err);
+      session.on('message', (message, content, ackOrNack) => {
+        const replyTo = message.properties.replyTo;
+        if (!replyTo) return ackOrNack(new Error(format('Message: %s cannot be responded to because it has no replyTo property', message.properties.messageId)));
+        invokeResponder(handler, content, message, (err, result) => {
+          const correlationId = message.properties.correlationId || message.properties.messageId;
+          const reply = err ? '' : _.defaultTo(result, null);
+          const overrides = { routingKey: replyTo, options: { correlationId } };
+          if (err) _.set(overrides, 'options.headers.rascal.error', { message: _.truncate(err.message, { length: 1024 }), code: err.code });
+          self.publish(replyPublication, reply, overrides, (err, publication) => {
+            if (err) return ackOrNack(err);
+            publication.on('success', () => {
+              debug('Replied to message: %s with correlationId: %s', message.properties.messageId, correlationId);
+              ackOrNack();
+            });
+            publication.on('error', (err) => {
+              ackOrNack(err);
+            });
+            publication.on('return', () => {
+              debug('Reply to message: %s with correlationId: %s was returned', message.properties.messageId, correlationId);
+            });
+          });
+        });
+      });
+      next(null, session);
+    });
+  };
+
   this.subscribe = function (name, overrides, next) {
     if (arguments.length === 2) return self.subscribe(name, {}, arguments[1]);
     if (!subscriptions[name]) return next(new Error(format('Unknown subscription: %s', name)));
@@ -207,6 +308,34 @@ function Broker(config, components) {
     );
   };
 
+  this.replayDeadLetters = function (name, options, next) {
+    if (arguments.length === 2) return self.replayDeadLetters(name, {}, arguments[1]);
+    const subscriptionConfig = config.subscriptions[name];
+    const vhostName = subscriptionConfig ? subscriptionConfig.vhost : _.findKey(config.vhosts, (vhostConfig) => _.has(vhostConfig.queues, name));
+    if (!vhostName) return next(new Error(format('Unknown subscription or queue: %s', name)));
+    const queue = subscriptionConfig ? subscriptionConfig.source : config.vhosts[vhostName].queues[name].fullyQualifiedName;
+    const target = options.target && _.get(config.vhosts, [vhostName, 'queues', options.target, 'fullyQualifiedName'], options.target);
+    debug('Replaying dead letters from queue: %s', queue);
+    DeadLetters.replay(vhosts[vhostName], queue, _.assign({}, options, { target }), next);
+  };
+
+  this.getQuarantinedMessages = function (next) {
+    if (!quarantine) return next(new Error('Quarantine is not configured'));
+    quarantine.list(next);
+  };
+
+  this.republishQuarantinedMessages = function (options, next) {
+    if (arguments.length === 1) return self.republishQuarantinedMessages({}, arguments[0]);
+    if (!quarantine) return next(new Error('Quarantine is not configured'));
+    debug('Republishing quarantined messages');
+    quarantine.republish(vhosts, options, next);
+  };
+
+  this._quarantine = function (message, err, next) {
+    if (!quarantine) return next(new Error('Quarantine is not configured'));
+    quarantine.add(message, err, next);
+  };
+
   this.getConnections = function () {
     return Object.keys(vhosts).map((name) => {
       return vhosts[name].getConnectionDetails();
@@ -229,4 +358,78 @@ function Broker(config, components) {
   this._addSubscription = function (subscription) {
     subscriptions[subscription.name] = subscription;
   };
+
+  function createReplyConsumer(vhostName, next) {
+    if (replyConsumers[vhostName]) return next(null, replyConsumers[vhostName]);
+    if (!vhosts[vhostName]) return next(new Error(format('Unknown vhost: %s', vhostName)));
+
+    vhosts[vhostName].getChannel((err, channel) => {
+      if (err) return next(err);
+      if (!channel) return next(new Error(format('Unable to consume replies. Vhost: %s is shutting down', vhostName)));
+
+      const replyConsumer = { queue: null, correlationIds: new Set() };
+      const once = _.once(next);
+
+      // Requests cannot be replied to once the reply queue has gone, so must fail rather than wait for their timeout
+      const disconnectionHandler = _.once((err) => {
+        debug('Reply consumer for vhost: %s was closed', vhostName);
+        if (replyConsumers[vhostName] === replyConsumer) delete replyConsumers[vhostName];
+        const rejection = err || new Error(format('Reply consumer for vhost: %s was closed', vhostName));
+        replyConsumer.correlationIds.forEach((correlationId) => rejectRequest(correlationId, rejection));
+        once(rejection);
+      });
+
+      channel.on('error', disconnectionHandler);
+      channel.once('close', disconnectionHandler);
+
+      channel.assertQueue('', { exclusive: true, autoDelete: true }, (err, ok) => {
+        if (err) return disconnectionHandler(err);
+        replyConsumer.queue = ok.queue;
+        channel.consume(
+          ok.queue,
+          (message) => {
+            if (!message) return disconnectionHandler(new Error(format('Reply consumer for vhost: %s was cancelled by the broker', vhostName)));
+            handleReply(message);
+          },
+          { noAck: true },
+          (err) => {
+            if (err) return disconnectionHandler(err);
+            debug('Consuming replies from queue: %s on vhost: %s', ok.queue, vhostName);
+            replyConsumers[vhostName] = replyConsumer;
+            once(null, replyConsumer);
+          },
+        );
+      });
+    });
+  }
+
+  function handleReply(message) {
+    pendingReplies.unstash(message.properties.correlationId, (err, cb) => {
+      if (err) return debug('Ignoring reply: %s. %s', message.properties.correlationId, err.message);
+      const replyError = _.get(message, 'properties.headers.rascal.error');
+      if (replyError) return cb(Object.assign(new Error(replyError.message), { code: replyError.code }));
+      // Replies are published via the vhost's default publication, so may be encoded, compressed or encrypted according to the publication defaults
+      decodeContent(message, { encryption: config.encryption }, components.codecs, (err, content) => {
+        if (err) return cb(err);
+        cb(null, content, message);
+      });
+    });
+  }
+
+  function rejectRequest(correlationId, err) {
+    pendingReplies.unstash(correlationId, (_err, cb) => {
+      if (_err) return debug('Ignoring rejection of request: %s. %s', correlationId, _err.message);
+      cb(err);
+    });
+  }
+
+  function invokeResponder(handler, content, message, next) {
+    const once = _.once(next);
+    try {
+      const result = handler(content, message, once);
+      if (result && _.isFunction(result.then)) result.then((value) => once(null, value), once);
+    } catch (err) {
+      once(err);
+    }
+  }
 }
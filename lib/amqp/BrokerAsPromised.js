@@ -30,7 +30,7 @@ module.exports = {
 inherits(BrokerAsPromised, EventEmitter);
 
 function BrokerAsPromised(broker) {
-  const methods = ['connect', 'nuke', 'purge', 'shutdown', 'bounce', 'publish', 'forward', 'unsubscribeAll'];
+  const methods = ['connect', 'nuke', 'purge', 'shutdown', 'bounce', 'publish', 'publishBatch', 'forward', 'request', 'replayDeadLetters', 'getQuarantinedMessages', 'republishQuarantinedMessages', 'unsubscribeAll'];
   const self = this;
 
   forwardEvents(broker, this);
@@ -64,6 +64,15 @@ function BrokerAsPromised(broker) {
     });
   };
 
+  this.respond = function (name, handler) {
+    return new Promise((resolve, reject) => {
+      broker.respond(name, handler, (err, session) => {
+        if (err) return reject(err);
+        resolve(new SubscriberSessionAsPromised(session));
+      });
+    });
+  };
+
   this.subscribeAll = function () {
     const args = Array.prototype.slice.call(arguments);
     return new Promise((resolve, reject) => {
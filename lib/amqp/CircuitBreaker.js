@@ -0,0 +1,65 @@
+const debug = require('debug')('rascal:CircuitBreaker');
+const _ = require('lodash');
+const setTimeoutUnref = require('../utils/setTimeoutUnref');
+
+const defaults = {
+  threshold: 0.5,
+  window: 10,
+  cooldown: 30000,
+};
+
+module.exports = CircuitBreaker;
+
+function CircuitBreaker(config, session) {
+  const options = _.defaults({}, config.circuitBreaker, defaults);
+  let state = 'closed';
+  let outcomes = [];
+  let channelPrefetch;
+  let timeout;
+
+  this.record = function (err) {
+    if (state === 'open') return;
+    if (state === 'half_open') return err ? open(err) : close();
+    outcomes = outcomes.concat(!!err).slice(-options.window);
+    if (outcomes.length < options.window) return;
+    const failureRate = _.compact(outcomes).length / outcomes.length;
+    if (failureRate >= options.threshold) open(err);
+  };
+
+  this.reset = function () {
+    clearTimeout(timeout);
+  };
+
+  function open(err) {
+    debug('Opening circuit for subscription: %s', session.name);
+    // A failed probe reopens the circuit while the channel prefetch is still limited to one
+    if (state === 'closed') channelPrefetch = config.channelPrefetch;
+    state = 'open';
+    outcomes = [];
+    session.emit('circuit_open', err);
+    session.pause(emitOnError);
+    timeout = setTimeoutUnref(halfOpen, options.cooldown);
+  }
+
+  function halfOpen() {
+    if (session.isCancelled()) return;
+    debug('Probing circuit for subscription: %s', session.name);
+    state = 'half_open';
+    // Limit the channel to a single unacknowledged message so only one message is used to probe the handler
+    session.setChannelPrefetch(1, (err) => {
+      if (err) return emitOnError(err);
+      session.resume(emitOnError);
+    });
+  }
+
+  function close() {
+    debug('Closing circuit for subscription: %s', session.name);
+    state = 'closed';
+    session.setChannelPrefetch(channelPrefetch, emitOnError);
+    session.emit('circuit_closed');
+  }
+
+  function emitOnError(err) {
+    if (err) session.emit('error', err);
+  }
+}
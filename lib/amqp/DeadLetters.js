@@ -0,0 +1,108 @@
+const debug = require('debug')('rascal:DeadLetters');
+const _ = require('lodash');
+const async = require('async');
+const { parseXDeath } = require('./XDeath');
+const { getFilter, getReplayProperties } = require('./Replay');
+
+module.exports = {
+  replay,
+};
+
+function replay(vhost, queue, options, next) {
+  const filter = getFilter(options.filter);
+  const stats = { replayed: 0, skipped: 0, failed: 0 };
+  const retained = [];
+  const once = _.once(next);
+  let returned = false;
+
+  vhost.getConfirmChannel((err, channel) => {
+    if (err) return once(err);
+    if (!channel) return once(new Error('Unable to replay dead letters. The VHost is shutting down'));
+
+    channel.on('error', (err) => {
+      once(err);
+    });
+
+    channel.on('return', () => {
+      returned = true;
+    });
+
+    channel.checkQueue(queue, (err, ok) => {
+      if (err) return once(err);
+
+      // Messages which fail again while replaying will be dead lettered back to the queue, so never take more than were originally there
+      const limit = Math.min(ok.messageCount, options.limit || Infinity);
+      debug('Replaying up to %d dead letters from queue: %s', limit, queue);
+
+      let taken = 0;
+      let exhausted = false;
+
+      async.whilst(
+        (cb) => cb(null, !exhausted && taken < limit),
+        (cb) => {
+          channel.get(queue, { noAck: false }, (err, message) => {
+            if (err) return cb(err);
+            if (!message) {
+              exhausted = true;
+              return cb();
+            }
+            taken++;
+            replayMessage(channel, message, cb);
+          });
+        },
+        (err) => {
+          if (err) return once(err);
+          // Skipped and failed messages were never acknowledged, so must be returned to the dead letter queue
+          retained.forEach((message) => channel.nack(message, false, true));
+          channel.close(() => {
+            channel.removeAllListeners();
+            debug('Replayed %d, skipped %d and failed to replay %d dead letters from queue: %s', stats.replayed, stats.skipped, stats.failed, queue);
+            once(null, stats);
+          });
+        },
+      );
+    });
+  });
+
+  function replayMessage(channel, message, cb) {
+    if (!filter(message)) {
+      debug('Skipping dead letter: %s', message.properties.messageId);
+      return retain(message, 'skipped', cb);
+    }
+
+    const destination = options.target || getOriginalQueue(message);
+    if (!destination) {
+      debug('Unable to replay dead letter: %s from an unknown queue', message.properties.messageId);
+      return retain(message, 'failed', cb);
+    }
+
+    returned = false;
+    channel.publish('', destination, message.content, getReplayProperties(message.properties, getOriginalRouting(message)), (err) => {
+      if (err || returned) {
+        debug('Failed to replay dead letter: %s to queue: %s', message.properties.messageId, destination);
+        return retain(message, 'failed', cb);
+      }
+      debug('Replayed dead letter: %s to queue: %s', message.properties.messageId, destination);
+      channel.ack(message);
+      stats.replayed++;
+      cb();
+    });
+  }
+
+  function retain(message, outcome, cb) {
+    retained.push(message);
+    stats[outcome]++;
+    cb();
+  }
+}
+
+function getOriginalQueue(message) {
+  const xDeath = _.first(parseXDeath(message));
+  return _.get(message, 'properties.headers.rascal.originalQueue') || _.get(xDeath, 'queue');
+}
+
+// Messages which were nacked without first being republished are only annotated by the broker
+function getOriginalRouting(message) {
+  const xDeath = _.first(parseXDeath(message));
+  return xDeath && { exchange: xDeath.exchange, routingKey: _.first(xDeath.routingKeys) };
+}
@@ -0,0 +1,36 @@
+const debug = require('debug')('rascal:MessageBatch');
+const _ = require('lodash');
+const setTimeoutUnref = require('../utils/setTimeoutUnref');
+
+const defaultTimeout = 1000;
+
+module.exports = MessageBatch;
+
+function MessageBatch(config, emitBatch) {
+  const self = this;
+  const timeoutMs = config.timeoutMs || defaultTimeout;
+  let items = [];
+  let timeout;
+
+  this.add = function (message, content) {
+    items.push({ message, content });
+    if (items.length >= config.size) return self.flush();
+    if (items.length === 1) timeout = setTimeoutUnref(self.flush, timeoutMs);
+  };
+
+  this.flush = function () {
+    clearTimeout(timeout);
+    if (items.length === 0) return;
+    const flushed = items;
+    items = [];
+    debug('Flushing batch of %d messages', flushed.length);
+    emitBatch(_.map(flushed, 'message'), _.map(flushed, 'content'));
+  };
+
+  this.discard = function (consumerTag) {
+    const remaining = items.filter(({ message }) => message.fields.consumerTag !== consumerTag);
+    if (remaining.length < items.length) debug('Discarding %d batched messages from consumer: %s', items.length - remaining.length, consumerTag);
+    items = remaining;
+    if (items.length === 0) clearTimeout(timeout);
+  };
+}
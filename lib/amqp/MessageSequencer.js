@@ -0,0 +1,41 @@
+const debug = require('debug')('rascal:MessageSequencer');
+
+module.exports = MessageSequencer;
+
+function MessageSequencer() {
+  const queues = new Map();
+
+  this.run = function (key, message, task) {
+    const pending = queues.get(key);
+    if (pending) {
+      debug('Deferring message: %s until previous messages with key: %s have been handled', message.properties.messageId, key);
+      return pending.push({ message, task });
+    }
+    queues.set(key, []);
+    start(key, task);
+  };
+
+  this.discard = function (consumerTag) {
+    queues.forEach((pending, key) => {
+      const remaining = pending.filter(({ message }) => message.fields.consumerTag !== consumerTag);
+      if (remaining.length < pending.length) debug('Discarding %d deferred messages with key: %s from consumer: %s', pending.length - remaining.length, key, consumerTag);
+      queues.set(key, remaining);
+    });
+  };
+
+  function start(key, task) {
+    let released = false;
+    task(() => {
+      if (released) return;
+      released = true;
+      // Defer so the next message is not emitted from within the previous message's call to ackOrNack
+      setImmediate(() => next(key));
+    });
+  }
+
+  function next(key) {
+    const pending = queues.get(key);
+    if (pending.length === 0) return queues.delete(key);
+    start(key, pending.shift().task);
+  }
+}
@@ -0,0 +1,48 @@
+const debug = require('debug')('rascal:Outbox');
+const fileJournal = require('../utils/fileJournal');
+
+module.exports = Outbox;
+
+function Outbox(file) {
+  // Messages must not be lost if the process dies after they were accepted, so additions are synced to disk
+  const journal = fileJournal(file, { compactionThreshold: 1000, sync: true });
+
+  this.load = function (next) {
+    journal.load((err) => {
+      if (err) return next(err);
+      debug('Loaded %d pending messages from outbox: %s', journal.values().length, file);
+      next();
+    });
+  };
+
+  this.add = function (messageId, content, publishConfig, next) {
+    const record = {
+      messageId,
+      content: content.toString('base64'),
+      destination: publishConfig.destination,
+      routingKey: publishConfig.routingKey,
+      options: publishConfig.options,
+    };
+    journal.update(messageId, () => record, (err) => {
+      next(err);
+    });
+  };
+
+  this.remove = function (messageId, next) {
+    journal.remove(messageId, next);
+  };
+
+  this.pending = function () {
+    return journal.values().map(toEntry);
+  };
+}
+
+function toEntry(record) {
+  return {
+    messageId: record.messageId,
+    content: Buffer.from(record.content, 'base64'),
+    destination: record.destination,
+    routingKey: record.routingKey,
+    options: record.options,
+  };
+}
@@ -1,13 +1,18 @@
 const debug = require('debug')('rascal:Publication');
 const format = require('util').format;
+const inherits = require('util').inherits;
+const EventEmitter = require('events').EventEmitter;
 const _ = require('lodash');
+const async = require('async');
 const uuid = require('uuid').v4;
 const crypto = require('crypto');
 const PublicationSession = require('./PublicationSession');
+const Outbox = require('./Outbox');
+const compression = require('../utils/compression');
 const setTimeoutUnref = require('../utils/setTimeoutUnref');
 
 module.exports = {
-  create(vhost, config, next) {
+  create(vhost, config, components, next) {
     const borrowConfirmChannel = vhost.borrowConfirmChannel.bind(vhost);
     const returnConfirmChannel = vhost.returnConfirmChannel.bind(vhost);
     const destroyConfirmChannel = vhost.destroyConfirmChannel.bind(vhost);
@@ -15,31 +20,70 @@ module.exports = {
     const returnChannel = vhost.returnChannel.bind(vhost);
     const destroyChannel = vhost.destroyChannel.bind(vhost);
 
-    if (Object.prototype.hasOwnProperty.call(config, 'exchange') && config.confirm) return new Publication(vhost, borrowConfirmChannel, returnConfirmChannel, destroyConfirmChannel, publishToConfirmExchange, config).init(next);
-    if (Object.prototype.hasOwnProperty.call(config, 'exchange')) return new Publication(vhost, borrowChannel, returnChannel, destroyChannel, publishToExchange, config).init(next);
-    if (config.queue && config.confirm) return new Publication(vhost, borrowConfirmChannel, returnConfirmChannel, destroyConfirmChannel, sendToConfirmQueue, config).init(next);
-    if (config.queue) return new Publication(vhost, borrowChannel, returnChannel, destroyChannel, sendToQueue, config).init(next);
+    if (Object.prototype.hasOwnProperty.call(config, 'exchange') && config.confirm) return new Publication(vhost, borrowConfirmChannel, returnConfirmChannel, destroyConfirmChannel, publishToConfirmExchange, config, components.codecs).init(next);
+    if (Object.prototype.hasOwnProperty.call(config, 'exchange')) return new Publication(vhost, borrowChannel, returnChannel, destroyChannel, publishToExchange, config, components.codecs).init(next);
+    if (config.queue && config.confirm) return new Publication(vhost, borrowConfirmChannel, returnConfirmChannel, destroyConfirmChannel, sendToConfirmQueue, config, components.codecs).init(next);
+    if (config.queue) return new Publication(vhost, borrowChannel, returnChannel, destroyChannel, sendToQueue, config, components.codecs).init(next);
   },
 };
 
-function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn, publishFn, config) {
+inherits(Publication, EventEmitter);
+
+function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn, publishFn, config, codecs) {
   const self = this;
+  const outbox = config.outbox ? new Outbox(config.outbox.file) : null;
+  const inflight = new Set();
+  let replaying = false;
 
   this.name = config.name;
 
   this.init = function (next) {
     debug('Initialising publication: %s', config.name);
-    next(null, self);
+    if (!outbox) return next(null, self);
+    outbox.load((err) => {
+      if (err) return next(err);
+      vhost.on('connect', replayOutbox);
+      replayOutbox();
+      next(null, self);
+    });
   };
 
   this.publish = function (payload, overrides, next) {
-    const publishConfig = _.defaultsDeep({}, overrides, config);
-    const content = getContent(payload);
-    publishConfig.options.contentType = publishConfig.options.contentType || content.type;
-    publishConfig.options.messageId = publishConfig.options.messageId || uuid();
-    publishConfig.options.replyTo = publishConfig.options.replyTo || publishConfig.replyTo;
+    prepare(payload, overrides, (err, buffer, publishConfig) => {
+      if (err) return next(err);
+      if (!outbox) return _publish(buffer, publishConfig, next);
+      outbox.add(publishConfig.options.messageId, buffer, publishConfig, (err) => {
+        if (err) return next(err);
+        inflight.add(publishConfig.options.messageId);
+        _publish(buffer, publishConfig, next);
+      });
+    });
+  };
 
-    publishConfig.encryption ? _publishEncrypted(content.buffer, publishConfig, next) : _publish(content.buffer, publishConfig, next);
+  this.publishBatch = function (payloads, overrides, next) {
+    if (!config.confirm) return next(new Error(format('Publication: %s cannot publish batches without confirms', config.name)));
+    async.mapSeries(
+      payloads,
+      (payload, cb) => {
+        prepare(payload, overrides, (err, buffer, publishConfig) => {
+          cb(err, { buffer, publishConfig });
+        });
+      },
+      (err, messages) => {
+        if (err) return next(err);
+        if (!outbox) return _publishBatch(messages, next);
+        async.eachSeries(
+          messages,
+          ({ buffer, publishConfig }, cb) => {
+            outbox.add(publishConfig.options.messageId, buffer, publishConfig, cb);
+          },
+          (err) => {
+            if (err) return next(err);
+            _publishBatchFromOutbox(messages, next);
+          },
+        );
+      },
+    );
   };
 
   this.forward = function (message, overrides, next) {
@@ -59,7 +103,60 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
     _publish(message.content, publishConfig, next);
   };
 
-  function _publishEncrypted(buffer, publishConfig, next) {
+  function prepare(payload, overrides, next) {
+    const publishConfig = _.defaultsDeep({}, overrides, config);
+    let content;
+    try {
+      content = getContent(payload, publishConfig.options.contentType);
+    } catch (err) {
+      return next(err);
+    }
+    publishConfig.options.contentType = publishConfig.options.contentType || content.type;
+    publishConfig.options.messageId = publishConfig.options.messageId || uuid();
+    publishConfig.options.replyTo = publishConfig.options.replyTo || publishConfig.replyTo;
+
+    if (publishConfig.delay) {
+      try {
+        delay(publishConfig);
+      } catch (err) {
+        return next(err);
+      }
+    }
+
+    compress(content.buffer, publishConfig, (err, buffer) => {
+      if (err) return next(err);
+      if (!publishConfig.encryption) return next(null, buffer, publishConfig);
+      encryptMessage(buffer, publishConfig, (err, encrypted) => {
+        next(err, encrypted, publishConfig);
+      });
+    });
+  }
+
+  function delay(publishConfig) {
+    if (!publishConfig.delays) throw new Error(format('Publication: %s is not configured for delays', config.name));
+    if (publishConfig.delays.mode === 'x-delayed-message') {
+      _.set(publishConfig, ['options', 'headers', 'x-delay'], publishConfig.delay);
+      return;
+    }
+    const destination = publishConfig.delays.destinations[publishConfig.delay];
+    if (!destination) throw new Error(format('Publication: %s has no delay tier of %dms', config.name, publishConfig.delay));
+    debug('Delaying message: %s by %dms via: %s', publishConfig.options.messageId, publishConfig.delay, destination);
+    publishConfig.destination = destination;
+  }
+
+  function compress(buffer, publishConfig, next) {
+    if (!publishConfig.compression) return next(null, buffer);
+    const algorithm = compression[publishConfig.compression];
+    if (!algorithm) return next(new Error(format('Unknown compression algorithm: %s', publishConfig.compression)));
+    algorithm.compress(buffer, (err, compressed) => {
+      if (err) return next(err);
+      debug('Message was compressed using %s from %d to %d bytes', publishConfig.compression, buffer.length, compressed.length);
+      _.set(publishConfig, 'options.contentEncoding', algorithm.encoding);
+      next(null, compressed);
+    });
+  }
+
+  function encryptMessage(buffer, publishConfig, next) {
     const encryptionConfig = publishConfig.encryption;
     encrypt(encryptionConfig.algorithm, encryptionConfig.key, encryptionConfig.ivLength, buffer, (err, iv, encrypted) => {
       if (err) return next(err);
@@ -68,8 +165,7 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
       _.set(publishConfig, 'options.headers.rascal.encryption.iv', iv);
       _.set(publishConfig, 'options.headers.rascal.encryption.originalContentType', publishConfig.options.contentType);
       _.set(publishConfig, 'options.contentType', 'application/octet-stream');
-
-      _publish(encrypted, publishConfig, next);
+      next(null, encrypted);
     });
   }
 
@@ -93,10 +189,15 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
     const session = new PublicationSession(vhost, messageId);
     borrowChannelFn((err, channel) => {
       session._removePausedListener();
-      if (err) return session.emit('error', err, messageId);
+      if (err) {
+        settleOutboxEntry(messageId, false);
+        return session.emit('error', err, messageId);
+      }
       if (session.isAborted()) return abortPublish(channel, messageId);
 
-      const disconnectionHandler = makeDisconnectionHandler(channel, messageId, session, config);
+      const disconnectionHandler = makeDisconnectionHandler(channel, messageId, session, config, () => {
+        settleOutboxEntry(messageId, false);
+      });
       const returnHandler = session.emit.bind(session, 'return');
       addListeners(channel, disconnectionHandler, returnHandler);
 
@@ -107,15 +208,18 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
           session._endPublish();
           if (err) {
             destroyChannel(channel, disconnectionHandler, returnHandler);
+            settleOutboxEntry(messageId, false);
             return session.emit('error', err, messageId);
           }
 
           ok ? returnChannel(channel, disconnectionHandler, returnHandler) : deferReturnChannel(channel, disconnectionHandler, returnHandler);
 
+          settleOutboxEntry(messageId, true);
           session.emit('success', messageId);
         });
       } catch (err) {
         returnChannel(channel, disconnectionHandler, returnHandler);
+        settleOutboxEntry(messageId, false);
         return session.emit('error', err, messageId);
       }
     });
@@ -123,8 +227,114 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
     next(null, session);
   }
 
+  function _publishBatch(messages, next) {
+    const results = messages.map(({ publishConfig }) => ({ messageId: publishConfig.options.messageId, err: null }));
+    const indexes = _.fromPairs(results.map(({ messageId }, index) => [messageId, index]));
+    const unconfirmed = new Set(_.range(messages.length));
+    const write = Object.prototype.hasOwnProperty.call(config, 'exchange') ? writeToExchange : writeToQueue;
+
+    borrowChannelFn((err, channel) => {
+      if (err) return next(err);
+      debug('Publishing batch of %d messages to %s using channel: %s', messages.length, config.name, channel._rascal_id);
+
+      const done = _.once((err) => {
+        clearTimeout(timeout);
+        channel.removeAllListeners('drain');
+        channel.removeListener('error', disconnectionHandler);
+        channel.removeListener('close', disconnectionHandler);
+        channel.removeListener('return', returnHandler);
+        unconfirmed.forEach((index) => {
+          results[index].err = err;
+        });
+        err ? destroyChannelFn(channel) : returnChannelFn(channel);
+        next(null, results);
+      });
+      const disconnectionHandler = (err) => {
+        done(err || new Error(format('Channel closed during publication of batch to: %s', config.name)));
+      };
+      // Returned messages are still confirmed, so must be recorded as errors before their confirmation arrives
+      const returnHandler = (message) => {
+        const index = indexes[message.properties.messageId];
+        if (index === undefined) return;
+        debug('Message: %s published to: %s was returned', results[index].messageId, config.name);
+        results[index].err = new Error(format('Message: %s published to: %s was returned', results[index].messageId, config.name));
+      };
+      const timeout = config.timeout ? setConfirmationTimeout(config.timeout, config.destination, done) : null;
+
+      channel.once('error', disconnectionHandler);
+      channel.once('close', disconnectionHandler);
+      channel.on('return', returnHandler);
+
+      writeMessages(0);
+
+      function writeMessages(start) {
+        for (let index = start; index < messages.length; index++) {
+          let ok;
+          try {
+            ok = write(channel, messages[index].buffer, messages[index].publishConfig, (err) => {
+              results[index].err = err || results[index].err;
+              unconfirmed.delete(index);
+            });
+          } catch (err) {
+            return done(err);
+          }
+          if (!ok && index < messages.length - 1) {
+            debug('Waiting for channel: %s to drain after publishing %d of %d messages', channel._rascal_id, index + 1, messages.length);
+            return channel.once('drain', () => writeMessages(index + 1));
+          }
+        }
+        // Individual nacks have already been recorded by the per message callbacks
+        channel.waitForConfirms(() => done());
+      }
+    });
+  }
+
+  function _publishBatchFromOutbox(messages, next) {
+    const messageIds = messages.map(({ publishConfig }) => publishConfig.options.messageId);
+    messageIds.forEach((messageId) => inflight.add(messageId));
+    _publishBatch(messages, (err, results) => {
+      if (err) {
+        messageIds.forEach((messageId) => settleOutboxEntry(messageId, false));
+        return next(err);
+      }
+      results.forEach(({ messageId, err }) => settleOutboxEntry(messageId, !err));
+      next(null, results);
+    });
+  }
+
+  function replayOutbox() {
+    if (replaying) return;
+    const entries = outbox.pending().filter(({ messageId }) => !inflight.has(messageId));
+    if (entries.length === 0) return;
+
+    debug('Replaying %d messages from outbox: %s', entries.length, config.outbox.file);
+    replaying = true;
+    const messages = entries.map((entry) => ({
+      buffer: entry.content,
+      publishConfig: _.defaults({ destination: entry.destination, routingKey: entry.routingKey, options: _.defaults({ messageId: entry.messageId }, entry.options) }, config),
+    }));
+    _publishBatchFromOutbox(messages, (err, results) => {
+      replaying = false;
+      if (err) return emitError(err);
+      const failures = _.filter(results, 'err');
+      if (failures.length) debug('Failed to replay %d of %d messages from outbox: %s', failures.length, entries.length, config.outbox.file);
+    });
+  }
+
+  function settleOutboxEntry(messageId, published) {
+    if (!inflight.delete(messageId) || !published) return;
+    outbox.remove(messageId, (err) => {
+      if (err) emitError(err);
+    });
+  }
+
+  function emitError(err) {
+    self.emit('error', new Error(format('Publication: %s outbox error. %s', config.name, err.message)));
+  }
+
   function abortPublish(channel, messageId) {
     debug('Publication of message: %s was aborted', messageId);
+    settleOutboxEntry(messageId, true);
     returnChannelFn(channel);
   }
 
@@ -144,12 +354,20 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
     destroyChannelFn(channel);
   }
 
-  function getContent(payload) {
+  function getContent(payload, contentType) {
     if (Buffer.isBuffer(payload)) return bufferMessage(payload);
+    const type = contentType || (_.isString(payload) ? 'text/plain' : 'application/json');
+    if (codecs[type]) return encodedMessage(payload, type);
     if (_.isString(payload)) return textMessage(payload);
     return jsonMessage(payload);
   }
 
+  function encodedMessage(payload, type) {
+    debug('Encoding message using codec for content type: %s', type);
+    const encoded = codecs[type].encode(payload);
+    return { buffer: Buffer.isBuffer(encoded) ? encoded : Buffer.from(encoded), type };
+  }
+
   function bufferMessage(payload) {
     return { buffer: payload, type: undefined };
   }
@@ -166,8 +384,9 @@ function Publication(vhost, borrowChannelFn, returnChannelFn, destroyChannelFn,
   }
 }
 
-function makeDisconnectionHandler(channel, messageId, session, config) {
+function makeDisconnectionHandler(channel, messageId, session, config, onDisconnect) {
   return _.once((err) => {
+    onDisconnect();
     // Use setImmediate to avoid amqplib accept loop swallowing errors
     setImmediate(() => (err
       // Treat close events with errors as error events
@@ -231,6 +450,14 @@ function sendToConfirmQueue(channel, content, config, next) {
   publishAndConfirm(fn, channel, config, next);
 }
 
+function writeToExchange(channel, content, config, cb) {
+  return channel.publish(config.destination, config.routingKey, content, config.options, cb);
+}
+
+function writeToQueue(channel, content, config, cb) {
+  return channel.sendToQueue(config.destination, content, config.options, cb);
+}
+
 function publishNoConfirm(fn, channel, next) {
   let drained = false;
   channel.once('drain', () => {
@@ -0,0 +1,113 @@
+const debug = require('debug')('rascal:Quarantine');
+const _ = require('lodash');
+const async = require('async');
+const uuid = require('uuid').v4;
+const jsonLines = require('../utils/jsonLines');
+const { getFilter, getReplayProperties } = require('./Replay');
+
+module.exports = Quarantine;
+
+function Quarantine(config) {
+  const file = config.file;
+  const operations = async.queue((task, cb) => task(cb), 1);
+
+  this.add = function (message, err, next) {
+    const entry = {
+      id: uuid(),
+      timestamp: new Date().toISOString(),
+      vhost: _.get(message, 'properties.headers.rascal.originalVhost'),
+      queue: _.get(message, 'properties.headers.rascal.originalQueue'),
+      fields: _.pick(message.fields, ['exchange', 'routingKey']),
+      properties: message.properties,
+      content: message.content.toString('base64'),
+      error: {
+        code: err.code,
+        message: _.truncate(err.message, { length: 1024 }),
+      },
+    };
+    operations.push((cb) => {
+      debug('Quarantining message: %s to file: %s', message.properties.messageId, file);
+      // The message is acknowledged once quarantined, so the entry must be on disk first
+      jsonLines.append(file, entry, cb);
+    }, next);
+  };
+
+  this.list = function (next) {
+    operations.push((cb) => jsonLines.read(file, cb), next);
+  };
+
+  this.republish = function (vhosts, options, next) {
+    const filter = getFilter(options.filter);
+    const stats = { republished: 0, failed: 0 };
+    const republished = [];
+
+    operations.push(
+      (cb) => {
+        jsonLines.read(file, (err, entries) => {
+          if (err) return cb(err);
+          const selected = _.take(entries.filter(filter), options.limit || Infinity);
+          async.eachOfSeries(
+            _.groupBy(selected, 'vhost'),
+            (vhostEntries, vhostName, cb) => {
+              if (!vhosts[vhostName]) {
+                debug('Unable to republish %d quarantined messages to unknown vhost: %s', vhostEntries.length, vhostName);
+                stats.failed += vhostEntries.length;
+                return cb();
+              }
+              republishEntries(vhosts[vhostName], vhostEntries, stats, republished, cb);
+            },
+            (err) => {
+              // Only remove messages which were republished, so the rest may be retried
+              jsonLines.write(file, _.reject(entries, (entry) => republished.includes(entry.id)), { sync: true }, (writeErr) => {
+                cb(err || writeErr, stats);
+              });
+            },
+          );
+        });
+      },
+      next,
+    );
+  };
+
+  function republishEntries(vhost, entries, stats, republished, next) {
+    const once = _.once(next);
+    let returned = false;
+
+    vhost.getConfirmChannel((err, channel) => {
+      if (err) return once(err);
+      if (!channel) return once(new Error('Unable to republish quarantined messages. The VHost is shutting down'));
+
+      channel.on('error', (err) => {
+        once(err);
+      });
+
+      channel.on('return', () => {
+        returned = true;
+      });
+
+      async.eachSeries(
+        entries,
+        (entry, cb) => {
+          returned = false;
+          channel.publish('', entry.queue, Buffer.from(entry.content, 'base64'), getReplayProperties(entry.properties, entry.fields), (err) => {
+            if (err || returned) {
+              debug('Failed to republish quarantined message: %s to queue: %s', entry.properties.messageId, entry.queue);
+              stats.failed++;
+              return cb();
+            }
+            debug('Republished quarantined message: %s to queue: %s', entry.properties.messageId, entry.queue);
+            stats.republished++;
+            republished.push(entry.id);
+            cb();
+          });
+        },
+        () => {
+          channel.close(() => {
+            channel.removeAllListeners();
+            once();
+          });
+        },
+      );
+    });
+  }
+}
@@ -0,0 +1,32 @@
+const _ = require('lodash');
+const messageMatcher = require('../utils/messageMatcher');
+
+module.exports = {
+  getFilter,
+  getReplayProperties,
+};
+
+function getFilter(filter) {
+  if (!filter) return _.constant(true);
+  return _.isFunction(filter) ? filter : messageMatcher(filter);
+}
+
+// Messages are replayed directly to a queue, so must be told how they were originally routed unless already republished by Rascal
+function getReplayProperties(messageProperties, originalRouting) {
+  const properties = _.cloneDeep(messageProperties);
+  properties.mandatory = true;
+
+  if (originalRouting && !_.has(properties, 'headers.rascal.originalExchange')) {
+    _.set(properties, 'headers.rascal.originalExchange', originalRouting.exchange);
+    _.set(properties, 'headers.rascal.originalRoutingKey', originalRouting.routingKey);
+    _.set(properties, 'headers.rascal.restoreRoutingHeaders', true);
+  }
+
+  // Otherwise messages republished with immediateNack would be dead lettered again as soon as they are consumed
+  _.each(_.get(properties, 'headers.rascal.recovery'), (recovery) => {
+    delete recovery.immediateNack;
+    delete recovery.xDeath;
+  });
+
+  return properties;
+}
@@ -3,24 +3,43 @@ const format = require('util').format;
 const _ = require('lodash');
 const async = require('async');
 const setTimeoutUnref = require('../utils/setTimeoutUnref');
+const backoff = require('../backoff');
+const waitQueues = require('../config/waitQueues');
 const { EMPTY_X_DEATH } = require('./XDeath');
 
-module.exports = function SubscriptionRecovery(broker, vhost) {
+const historyDefaults = {
+  limit: 10,
+  stack: false,
+};
+
+// Strategies without attempts may keep delaying messages indefinitely, but only use a bounded number of distinct delays
+const maxDeclaredDelays = 20;
+
+module.exports = function SubscriptionRecovery(broker, vhost, customStrategies) {
+  const assertedWaitQueues = new Set();
+
   this.handle = function (session, message, err, recoveryOptions, next) {
     debug('Handling subscriber error for message: %s with error: %s', message.properties.messageId, err.message);
 
     async.eachSeries(
       [].concat(recoveryOptions || []).concat({ strategy: 'fallback-nack' }),
       (recoveryConfig, cb) => {
+        if (!isApplicable(recoveryConfig.when, err, message)) {
+          debug('Skipping strategy: %s for message: %s with error: %s', recoveryConfig.strategy, message.properties.messageId, err.message);
+          return cb();
+        }
+
         debug('Attempting to recover message: %s using strategy: %s', message.properties.messageId, recoveryConfig.strategy);
 
         const once = _.once(cb);
 
         setTimeoutUnref(() => {
-          getStrategy(recoveryConfig).execute(session, message, err, _.omit(recoveryConfig, 'defer'), (err, handled) => {
+          getStrategy(recoveryConfig).execute(session, message, err, _.omit(recoveryConfig, ['defer', 'when']), (err, handled) => {
             if (err) {
               debug('Message: %s failed to be recovered using stragegy: %s', message.properties.messageId, recoveryConfig.strategy);
-              setImmediate(() => next(err));
+              // Built in strategies nack the message before yielding an error, but custom strategies cannot be relied upon to do so
+              if (!_.has(customStrategies, recoveryConfig.strategy)) setImmediate(() => next(err));
+              else session._nack(message, () => next(err));
               return once(false);
             }
             if (handled) {
@@ -77,13 +96,9 @@ module.exports = function SubscriptionRecovery(broker, vhost) {
             return next(null, false);
           }
 
-          const publishOptions = _.cloneDeep(message.properties);
+          const publishOptions = getRepublishOptions(message, err, strategyConfig);
           _.set(publishOptions, ['headers', 'rascal', 'recovery', originalQueue, 'republished'], republished + 1);
-          _.set(publishOptions, 'headers.rascal.originalExchange', message.fields.exchange);
-          _.set(publishOptions, 'headers.rascal.originalRoutingKey', message.fields.routingKey);
-          _.set(publishOptions, 'headers.rascal.error.message', _.truncate(err.message, { length: 1024 }));
-          _.set(publishOptions, 'headers.rascal.error.code', err.code);
-          _.set(publishOptions, 'headers.rascal.restoreRoutingHeaders', _.has(strategyConfig, 'restoreRoutingHeaders') ? strategyConfig.restoreRoutingHeaders : true);
+          _.set(publishOptions, 'headers.rascal.history', getHistory(session, message, err, 'republish', republished + 1));
 
           if (strategyConfig.immediateNack) {
             const xDeathRecords = message.properties.headers['x-death'] || [];
@@ -91,51 +106,52 @@ module.exports = function SubscriptionRecovery(broker, vhost) {
             _.set(publishOptions, ['headers', 'rascal', 'recovery', originalQueue], { immediateNack: true, xDeath });
           }
 
-          const ackMessage = () => {
-            session._ack(message, (err) => {
-              next(err, true);
-            });
-          };
-
-          const nackMessage = (err) => {
-            session._nack(message, (_nackErr) => {
-              // nackError just means the channel was already closed meaning the original message would have been rolled back
-              next(err);
-            });
-          };
+          const ackOrNack = getAckOrNack(session, message, next);
 
-          const ackOrNack = _.once((err) => {
-            return err ? nackMessage(err) : ackMessage();
+          republishToQueue(message, originalQueue, publishOptions, null, (err) => {
+            if (err) {
+              debug('Message: %s failed to be republished to queue: %s %d times - %s', message.properties.messageId, originalQueue, republished + 1, err.message);
+              return ackOrNack(err);
+            }
+            debug('Message: %s was republished to queue: %s %d times', message.properties.messageId, originalQueue, republished + 1);
+            ackOrNack();
           });
+        },
+      },
+      {
+        name: 'delayed-republish',
+        execute(session, message, err, strategyConfig, next) {
+          const originalQueue = _.get(message, 'properties.headers.rascal.originalQueue');
+          const delayed = _.get(message, ['properties', 'headers', 'rascal', 'recovery', originalQueue, 'delayed'], 0);
 
-          vhost.getConfirmChannel((err, publisherChannel) => {
-            if (err) return ackOrNack(err);
-
-            if (!publisherChannel) return ackOrNack(new Error('Unable to handle subscriber error by republishing. The VHost is shutting down'));
+          if (strategyConfig.attempts && strategyConfig.attempts <= delayed) {
+            debug('Skipping recovery - message: %s has already been delayed %d times.', message.properties.messageId, delayed);
+            return next(null, false);
+          }
 
-            publisherChannel.on('error', (err) => {
-              ackOrNack(err);
-            });
+          // Every delay needs its own wait queue, so randomised delays would create an unbounded number of them
+          if (isRandomised(strategyConfig.backoff)) {
+            return getAckOrNack(session, message, next)(new Error(format('Unable to delay message: %s using a randomised linear backoff', message.properties.messageId)));
+          }
 
-            publisherChannel.on('return', () => {
-              ackOrNack(new Error(format('Message: %s was republished to queue: %s, but was returned', message.properties.messageId, originalQueue)));
-            });
+          const delay = getDelay(strategyConfig.backoff, delayed);
+          const { waitQueue, waitQueueOptions } = getWaitQueue(originalQueue, delay);
+          debug('Republishing message: %s to queue: %s via wait queue: %s', message.properties.messageId, originalQueue, waitQueue);
 
-            publisherChannel.publish(undefined, originalQueue, message.content, publishOptions, (err) => {
-              if (err) {
-                // Channel will already be closed, reclosing will trigger an error
-                publisherChannel.removeAllListeners();
+          const publishOptions = getRepublishOptions(message, err, strategyConfig);
+          _.set(publishOptions, ['headers', 'rascal', 'recovery', originalQueue, 'delayed'], delayed + 1);
+          _.set(publishOptions, 'headers.rascal.history', getHistory(session, message, err, 'delayed-republish', delayed + 1));
 
-                debug('Message: %s failed to be republished to queue: %s %d times - %s', message.properties.messageId, originalQueue, republished + 1, err.message);
-                ackOrNack(err);
-              } else {
-                publisherChannel.close();
-                publisherChannel.removeAllListeners();
+          const ackOrNack = getAckOrNack(session, message, next);
 
-                debug('Message: %s was republished to queue: %s %d times', message.properties.messageId, originalQueue, republished + 1);
-                ackOrNack();
-              }
-            });
+          republishToQueue(message, waitQueue, publishOptions, waitQueueOptions, (err) => {
+            if (err) {
+              assertedWaitQueues.delete(waitQueue);
+              debug('Message: %s failed to be delayed by %dms %d times - %s', message.properties.messageId, delay, delayed + 1, err.message);
+              return ackOrNack(err);
+            }
+            debug('Message: %s was delayed by %dms %d times', message.properties.messageId, delay, delayed + 1);
+            ackOrNack();
           });
         },
       },
@@ -160,6 +176,9 @@ module.exports = function SubscriptionRecovery(broker, vhost) {
           _.set(forwardOverrides, ['options', 'headers', 'rascal', 'recovery', originalQueue, 'forwarded'], forwarded + 1);
           _.set(forwardOverrides, 'options.headers.rascal.error.message', _.truncate(err.message, { length: 1024 }));
           _.set(forwardOverrides, 'options.headers.rascal.error.code', err.code);
+          _.set(forwardOverrides, 'options.headers.rascal.history', getHistory(session, message, err, 'forward', forwarded + 1));
+          // Forwarded headers are deep merged with the original headers, which would corrupt the history once it has been capped
+          const forwardedMessage = _.assign({}, message, { properties: _.omit(message.properties, 'headers.rascal.history') });
 
           const ackMessage = () => {
             session._ack(message, (err) => {
@@ -178,7 +197,7 @@ module.exports = function SubscriptionRecovery(broker, vhost) {
             return err ? nackMessage(err) : ackMessage();
           });
 
-          broker.forward(strategyConfig.publication, message, forwardOverrides, (err, publication) => {
+          broker.forward(strategyConfig.publication, forwardedMessage, forwardOverrides, (err, publication) => {
             if (err) return nackMessage(err);
 
             publication.on('success', () => {
@@ -198,6 +217,23 @@ module.exports = function SubscriptionRecovery(broker, vhost) {
           });
         },
       },
+      {
+        name: 'quarantine',
+        execute(session, message, err, strategyConfig, next) {
+          debug('Quarantining message: %s', message.properties.messageId);
+
+          const ackOrNack = getAckOrNack(session, message, next);
+
+          broker._quarantine(message, err, (err) => {
+            if (err) {
+              debug('Message: %s failed to be quarantined - %s', message.properties.messageId, err.message);
+              return ackOrNack(err);
+            }
+            debug('Message: %s was quarantined', message.properties.messageId);
+            ackOrNack();
+          });
+        },
+      },
       {
         name: 'unknown',
         execute(session, message, err, strategyConfig, next) {
@@ -206,11 +242,146 @@ module.exports = function SubscriptionRecovery(broker, vhost) {
           });
         },
       },
-    ],
+    ].concat(_.map(customStrategies, (strategy, name) => _.defaults({ name }, strategy))),
     'name',
   );
 
+  function getRepublishOptions(message, err, strategyConfig) {
+    const publishOptions = _.cloneDeep(message.properties);
+    _.set(publishOptions, 'headers.rascal.originalExchange', message.fields.exchange);
+    _.set(publishOptions, 'headers.rascal.originalRoutingKey', message.fields.routingKey);
+    _.set(publishOptions, 'headers.rascal.error.message', _.truncate(err.message, { length: 1024 }));
+    _.set(publishOptions, 'headers.rascal.error.code', err.code);
+    _.set(publishOptions, 'headers.rascal.restoreRoutingHeaders', _.has(strategyConfig, 'restoreRoutingHeaders') ? strategyConfig.restoreRoutingHeaders : true);
+    return publishOptions;
+  }
+
+  function getHistory(session, message, err, strategy, attempt) {
+    const options = _.defaults({}, _.get(session, 'config.history'), historyDefaults);
+    const entry = {
+      timestamp: new Date().toISOString(),
+      queue: _.get(message, 'properties.headers.rascal.originalQueue'),
+      strategy,
+      attempt,
+      error: {
+        code: err.code,
+        message: _.truncate(err.message, { length: 1024 }),
+      },
+    };
+    if (options.stack && err.stack) entry.error.stack = _.truncate(err.stack, { length: 1024 });
+    const history = _.get(message, 'properties.headers.rascal.history', []);
+    return _.takeRight(history.concat(entry), options.limit);
+  }
+
+  function getAckOrNack(session, message, next) {
+    const ackMessage = () => {
+      session._ack(message, (err) => {
+        next(err, true);
+      });
+    };
+
+    const nackMessage = (err) => {
+      session._nack(message, (_nackErr) => {
+        // nackError just means the channel was already closed meaning the original message would have been rolled back
+        next(err);
+      });
+    };
+
+    return _.once((err) => {
+      return err ? nackMessage(err) : ackMessage();
+    });
+  }
+
+  function republishToQueue(message, queue, publishOptions, queueOptions, next) {
+    const once = _.once(next);
+
+    vhost.getConfirmChannel((err, publisherChannel) => {
+      if (err) return once(err);
+
+      if (!publisherChannel) return once(new Error('Unable to handle subscriber error by republishing. The VHost is shutting down'));
+
+      publisherChannel.on('error', (err) => {
+        once(err);
+      });
+
+      publisherChannel.on('return', () => {
+        once(new Error(format('Message: %s was republished to queue: %s, but was returned', message.properties.messageId, queue)));
+      });
+
+      const assertQueue = queueOptions ? publisherChannel.assertQueue.bind(publisherChannel, queue, queueOptions) : (cb) => cb();
+
+      assertQueue((err) => {
+        // Channel will already be closed, and the error listener must remain to handle the error event
+        if (err) return once(err);
+
+        publisherChannel.publish(undefined, queue, message.content, publishOptions, (err) => {
+          if (err) {
+            // Channel will already be closed, reclosing will trigger an error
+            publisherChannel.removeAllListeners();
+            return once(err);
+          }
+          publisherChannel.close();
+          publisherChannel.removeAllListeners();
+          once();
+        });
+      });
+    });
+  }
+
+  function getWaitQueue(originalQueue, delay) {
+    const vhostConfig = _.get(broker, ['config', 'vhosts', vhost.name]);
+
+    // Wait queues declared in the configuration were asserted when the vhost was initialised
+    const declared = waitQueues.findWaitQueue(vhostConfig, originalQueue, delay);
+    if (declared) return { waitQueue: declared.fullyQualifiedName, waitQueueOptions: null };
+
+    const waitQueue = format('%s.delay.%d', originalQueue, delay);
+    if (assertedWaitQueues.has(waitQueue)) return { waitQueue, waitQueueOptions: null };
+    assertedWaitQueues.add(waitQueue);
+
+    // Must match the arguments used when the same delay is declared in the configuration, or asserting either will fail
+    const waitQueueOptions = _.defaultsDeep(waitQueues.getWaitQueueConfig(originalQueue, delay).options, _.get(vhostConfig, 'defaults.queues.options'));
+    return { waitQueue, waitQueueOptions };
+  }
+
   function getStrategy(recoveryConfig) {
     return recoveryStrategies[recoveryConfig.strategy] || recoveryStrategies.unknown;
   }
 };
+
+function isApplicable(when, err, message) {
+  if (!when) return true;
+  if (_.isFunction(when)) return !!when(err, message);
+  if (when.code !== undefined && ![].concat(when.code).includes(err.code)) return false;
+  if (when.name !== undefined && ![].concat(when.name).includes(err.name)) return false;
+  if (when.message !== undefined && !new RegExp(when.message).test(err.message)) return false;
+  return true;
+}
+
+function getDelay(backoffConfig, attempt) {
+  const timer = backoff(_.defaults({ randomise: false }, backoffConfig, { strategy: 'exponential', min: 1000, max: 60000 }));
+  return _.times(attempt + 1, timer.next).pop();
+}
+
+// Linear backoff with a range is randomised, so its delays cannot be known in advance
+function isRandomised(backoffConfig) {
+  if (!backoffConfig || backoffConfig.delay || backoffConfig.strategy !== 'linear') return false;
+  return _.get(backoffConfig, 'max', backoffConfig.min) !== backoffConfig.min;
+}
+
+function getDelays(strategyConfig) {
+  const backoffConfig = strategyConfig.backoff || {};
+  if (isRandomised(backoffConfig)) return [];
+  return _.uniq(_.times(Math.min(strategyConfig.attempts || maxDeclaredDelays, maxDeclaredDelays), (attempt) => getDelay(backoffConfig, attempt)));
+}
+
+// The strategies which may be specified in recovery configuration, excluding those used internally
+module.exports.strategies = ['ack', 'nack', 'republish', 'delayed-republish', 'forward', 'quarantine'];
+
+// The names which custom strategies may not use
+module.exports.reservedStrategies = module.exports.strategies.concat(['fallback-nack', 'unknown']);
+
+// The delays used by a delayed-republish strategy, so their wait queues may be declared in advance
+module.exports.getDelays = getDelays;
+
+module.exports.isRandomised = isRandomised;
@@ -1,20 +1,31 @@
 const debug = require('debug')('rascal:SubscriberSession');
+const format = require('util').format;
 const EventEmitter = require('events').EventEmitter;
 const inherits = require('util').inherits;
 const _ = require('lodash');
 const async = require('async');
 const setTimeoutUnref = require('../utils/setTimeoutUnref');
+const messageMatcher = require('../utils/messageMatcher');
+const MessageBatch = require('./MessageBatch');
+const CircuitBreaker = require('./CircuitBreaker');
+const MessageSequencer = require('./MessageSequencer');
 
 module.exports = SubscriberSession;
 
 inherits(SubscriberSession, EventEmitter);
 
-function SubscriberSession(sequentialChannelOperations, config) {
+function SubscriberSession(sequentialChannelOperations, config, emitBatch, resubscribe) {
   let index = 0;
   const channels = {};
   let cancelled = false;
+  let paused = false;
   let timeout;
+  let routes;
+  let filteredMessageCount = 0;
   const self = this;
+  const batch = config.batch ? new MessageBatch(config.batch, (messages, contents) => emitBatch(self, messages, contents)) : null;
+  const circuitBreaker = config.circuitBreaker ? new CircuitBreaker(config, self) : null;
+  const sequencer = config.orderBy ? new MessageSequencer() : null;
 
   this.name = config.name;
   this.config = _.cloneDeep(config);
@@ -23,11 +34,15 @@ function SubscriberSession(sequentialChannelOperations, config) {
     return cancelled;
   };
 
-  this._open = function (channel, consumerTag, next) {
+  this.isPaused = function () {
+    return paused;
+  };
+
+  this._open = function (channel, consumerTag, removeDisconnectionHandlers, next) {
     if (cancelled) return next(new Error('Subscriber has been cancelled'));
     debug('Opening subscriber session: %s on channel: %s', consumerTag, channel._rascal_id);
     channels[consumerTag] = {
-      index: index++, channel, consumerTag, unacknowledgedMessages: 0,
+      index: index++, channel, consumerTag, unacknowledgedMessages: 0, acknowledgedUpTo: 0, removeDisconnectionHandlers,
     };
     channel.once('close', unref.bind(null, consumerTag));
     channel.once('error', unref.bind(null, consumerTag));
@@ -36,19 +51,65 @@ function SubscriberSession(sequentialChannelOperations, config) {
 
   this.cancel = function (next) {
     clearTimeout(timeout);
+    if (circuitBreaker) circuitBreaker.reset();
     sequentialChannelOperations.push((done) => {
       cancelled = true;
       self._unsafeClose(done);
     }, next);
   };
 
+  this.pause = function (next) {
+    clearTimeout(timeout);
+    sequentialChannelOperations.push((done) => {
+      if (cancelled || paused) return done();
+      paused = true;
+      // Stop the subscription from treating the deliberately closed channel as a reason to resubscribe
+      withCurrentChannel((channel, consumerTag, entry) => entry.removeDisconnectionHandlers());
+      self._unsafeClose(done);
+    }, next);
+  };
+
+  this.resume = function (next) {
+    sequentialChannelOperations.push(
+      (done) => {
+        if (cancelled) return done(new Error('Subscriber has been cancelled'));
+        const wasPaused = paused;
+        paused = false;
+        done(null, wasPaused);
+      },
+      (err, wasPaused) => {
+        if (err || !wasPaused) return next(err);
+        resubscribe(self, config, next);
+      },
+    );
+  };
+
+  this.getFilteredMessageCount = function () {
+    return filteredMessageCount;
+  };
+
+  this._incrementFilteredMessageCount = function () {
+    filteredMessageCount++;
+  };
+
+  this.route = function (pattern, handler) {
+    if (config.batch) throw new Error(format('Subscription: %s consumes messages in batches, which cannot be routed', config.name));
+    if (!routes) {
+      routes = [];
+      self.on('message', routeMessage);
+    }
+    routes.push({ matches: messageMatcher(pattern), handler });
+    return self;
+  };
+
   this.setChannelPrefetch = function (prefetch, next) {
     sequentialChannelOperations.push((done) => {
       config.channelPrefetch = prefetch;
       withCurrentChannel(
         (channel) => {
           debug('Setting channel prefetch to %d on channel: %s', prefetch, channel._rascal_id);
-          channel.prefetch(prefetch, true, done);
+          // An unset channel prefetch is unlimited
+          channel.prefetch(prefetch || 0, true, done);
         },
         () => {
           debug('No current channel on which to set prefetch');
@@ -71,6 +132,8 @@ function SubscriberSession(sequentialChannelOperations, config) {
         debug('Cancelling subscriber session: %s on channel: %s', consumerTag, channel._rascal_id);
         channel.cancel(consumerTag, (err) => {
           if (err) return next(err);
+          // Buffered messages must be released so they can be acknowledged before the channel is closed
+          if (batch) batch.flush();
           const waitOrTimeout = config.closeTimeout ? async.timeout(waitForUnacknowledgedMessages, config.closeTimeout) : waitForUnacknowledgedMessages;
           waitOrTimeout(entry, null, (err) => {
             channel.close(() => {
@@ -99,6 +162,28 @@ function SubscriberSession(sequentialChannelOperations, config) {
     return rascalChannelId;
   };
 
+  this._batchMessage = function (message, content) {
+    batch.add(message, content);
+  };
+
+  this._sequenceMessage = function (key, message, task) {
+    sequencer.run(key, message, task);
+  };
+
+  this._recordOutcome = function (err) {
+    if (circuitBreaker) circuitBreaker.record(err);
+  };
+
+  this._isAcknowledged = function (message) {
+    if (message.__rascal_acknowledged) return true;
+    // Messages are also acknowledged when ackOrNack is called with the all option for a later message
+    return withConsumerChannel(message.fields.consumerTag, (channel, __, entry) => message.fields.deliveryTag <= entry.acknowledgedUpTo, () => true);
+  };
+
+  this._getUnacknowledgedMessageCount = function (consumerTag) {
+    return withConsumerChannel(consumerTag, (channel, __, entry) => entry.unacknowledgedMessages, () => 0);
+  };
+
   this._incrementUnacknowledgeMessageCount = function (consumerTag) {
     if (config.options.noAck) return;
     withConsumerChannel(consumerTag, (channel, __, entry) => {
@@ -141,9 +226,29 @@ function SubscriberSession(sequentialChannelOperations, config) {
   this._ackAll = function (message, next) {
     withConsumerChannel(
       message.fields.consumerTag,
-      (channel) => {
+      (channel, __, entry) => {
         debug('Acknowledging all messages on channel: %s', message.properties.messageId, channel._rascal_id);
         channel.ackAll();
+        entry.acknowledgedUpTo = message.fields.deliveryTag;
+        self._resetUnacknowledgedMessageCount(message.fields.consumerTag);
+        setImmediate(next);
+      },
+      () => {
+        setImmediate(() => {
+          next(new Error('The channel has been closed. Unable to ack messages'));
+        });
+      },
+    );
+  };
+
+  this._ackUpTo = function (message, next) {
+    withConsumerChannel(
+      message.fields.consumerTag,
+      (channel, __, entry) => {
+        debug('Acknowledging messages up to: %s on channel: %s', message.properties.messageId, channel._rascal_id);
+        // Unlike ackAll, does not acknowledge messages which the broker has delivered but the subscriber has not yet received
+        channel.ack(message, true);
+        entry.acknowledgedUpTo = message.fields.deliveryTag;
         self._resetUnacknowledgedMessageCount(message.fields.consumerTag);
         setImmediate(next);
       },
@@ -177,9 +282,10 @@ function SubscriberSession(sequentialChannelOperations, config) {
     if (arguments.length === 2) return self._nackAll(arguments[0], {}, arguments[1]);
     withConsumerChannel(
       message.fields.consumerTag,
-      (channel) => {
+      (channel, __, entry) => {
         debug('Not acknowledging all messages with requeue: %s on channel: %s', message.properties.messageId, !!options.requeue, channel._rascal_id);
         channel.nack(message, true, !!options.requeue);
+        entry.acknowledgedUpTo = message.fields.deliveryTag;
         self._resetUnacknowledgedMessageCount(message.fields.consumerTag);
         setImmediate(next);
       },
@@ -191,6 +297,16 @@ function SubscriberSession(sequentialChannelOperations, config) {
     );
   };
 
+  function routeMessage(message, content, ackOrNack) {
+    const route = routes.find(({ matches }) => matches(message));
+    if (route) return route.handler(message, content, ackOrNack);
+    const err = new Error(format('Message: %s with routing key: %s did not match any routes', message.properties.messageId, message.fields.routingKey));
+    debug(err.message);
+    const result = ackOrNack(err, config.routeFallback);
+    // ackOrNack returns a promise when using the promises API
+    if (result && result.catch) result.catch((err) => self.emit('error', err));
+  }
+
   function withCurrentChannel(fn, altFn) {
     const entry = _.chain(channels)
       .values()
@@ -212,6 +328,8 @@ function SubscriberSession(sequentialChannelOperations, config) {
     withConsumerChannel(consumerTag, (channel) => {
       debug('Removing channel: %s from session', channel._rascal_id);
       delete channels[consumerTag];
+      if (batch) batch.discard(consumerTag);
+      if (sequencer) sequencer.discard(consumerTag);
     });
   }
 
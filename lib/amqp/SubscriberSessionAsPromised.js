@@ -1,6 +1,7 @@
 const EventEmitter = require('events').EventEmitter;
 const inherits = require('util').inherits;
 const forwardEvents = require('forward-emitter');
+const async = require('async');
 
 module.exports = SubscriberSessionAsPromised;
 
@@ -21,6 +22,57 @@ function SubscriberSessionAsPromised(session) {
     });
   };
 
+  this.pause = function () {
+    return new Promise((resolve, reject) => {
+      session.pause((err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  };
+
+  this.resume = function () {
+    return new Promise((resolve, reject) => {
+      session.resume((err) => {
+        if (err) return reject(err);
+        resolve();
+      });
+    });
+  };
+
+  this.getFilteredMessageCount = function () {
+    return session.getFilteredMessageCount();
+  };
+
+  this.route = function (pattern, handler) {
+    session.route(pattern, handler);
+    return this;
+  };
+
+  this.handle = function (handler, options) {
+    const concurrency = (options && options.concurrency) || Infinity;
+    const recovery = options && options.recovery;
+
+    const handlers = async.queue(({ message, content, ackOrNack }, cb) => {
+      Promise.resolve()
+        .then(() => handler(content, message))
+        .then(
+          () => settle(ackOrNack),
+          (err) => settle(ackOrNack, err, recovery),
+        )
+        .catch((err) => {
+          session.emit('error', err);
+        })
+        .then(() => cb());
+    }, concurrency);
+
+    session.on('message', (message, content, ackOrNack) => {
+      handlers.push({ message, content, ackOrNack });
+    });
+
+    return this;
+  };
+
   this.setChannelPrefetch = function (prefetch) {
     return new Promise((resolve, reject) => {
       session.setChannelPrefetch(prefetch, (err) => {
@@ -29,4 +81,12 @@ function SubscriberSessionAsPromised(session) {
       });
     });
   };
+
+  function settle(ackOrNack, err, recovery) {
+    if (session.config.promisifyAckOrNack) return err ? ackOrNack(err, recovery) : ackOrNack();
+    return new Promise((resolve, reject) => {
+      const next = (err) => (err ? reject(err) : resolve());
+      err ? ackOrNack(err, recovery, next) : ackOrNack(next);
+    });
+  }
 }
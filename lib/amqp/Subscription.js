@@ -1,24 +1,30 @@
 const debug = require('debug')('rascal:Subscription');
 const _ = require('lodash');
 const format = require('util').format;
-const crypto = require('crypto');
 const async = require('async');
-const safeParse = require('safe-json-parse/callback');
 const SubscriberSession = require('./SubscriberSession');
 const SubscriberError = require('./SubscriberError');
 const backoff = require('../backoff');
+const decodeContent = require('../utils/decodeContent');
+const fingerprint = require('../utils/fingerprint');
+const messageMatcher = require('../utils/messageMatcher');
 const setTimeoutUnref = require('../utils/setTimeoutUnref');
 const { EMPTY_X_DEATH } = require('./XDeath');
 
+// Recovery policies are lists of strategies, so must replace rather than be merged with the subscription config
+const recoveryPolicies = ['recovery', 'redeliveriesExceeded'];
+
 module.exports = {
-  create(broker, vhost, counter, config, next) {
-    return new Subscription(broker, vhost, config, counter).init(next);
+  create(broker, vhost, counter, deduplicationStore, config, components, next) {
+    return new Subscription(broker, vhost, config, counter, deduplicationStore, components).init(next);
   },
 };
 
-function Subscription(broker, vhost, subscriptionConfig, counter) {
+function Subscription(broker, vhost, subscriptionConfig, counter, deduplicationStore, components) {
   const timer = backoff(subscriptionConfig.retry);
-  const subscriberError = new SubscriberError(broker, vhost);
+  const subscriberError = new SubscriberError(broker, vhost, components.recoveryStrategies);
+  const codecs = components.codecs;
+  const filter = subscriptionConfig.filter && messageMatcher(subscriptionConfig.filter.match);
   const sequentialChannelOperations = async.queue((task, next) => {
     task(next);
   }, 1);
@@ -32,15 +38,15 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
   };
 
   this.subscribe = function (overrides, next) {
-    const config = _.defaultsDeep(overrides, subscriptionConfig);
-    const session = new SubscriberSession(sequentialChannelOperations, config);
+    const config = _.defaultsDeep(overrides, _.omit(subscriptionConfig, _.keys(_.pick(overrides, recoveryPolicies))));
+    const session = new SubscriberSession(sequentialChannelOperations, config, emitBatch, resubscribe);
     subscribeLater(session, config);
     return next(null, session);
   };
 
   function subscribeLater(session, config) {
     session.on('newListener', (event) => {
-      if (event !== 'message') return;
+      if (event !== (config.batch ? 'batch' : 'message')) return;
       subscribeNow(session, config, (err) => {
         if (err) return session.emit('error', err);
         session.emit('subscribed');
@@ -48,12 +54,22 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
     });
   }
 
+  function resubscribe(session, config, next) {
+    // A session paused before any listeners were bound will subscribe when one is
+    if (!session.listenerCount(config.batch ? 'batch' : 'message')) return next();
+    subscribeNow(session, config, next);
+  }
+
   function subscribeNow(session, config, next) {
     sequentialChannelOperations.push((done) => {
       if (session.isCancelled()) {
         debug('Subscription to queue: %s has been cancelled', config.queue);
         return done();
       }
+      if (session.isPaused()) {
+        debug('Subscription to queue: %s has been paused', config.queue);
+        return done();
+      }
       debug('Subscribing to queue: %s', config.queue);
       vhost.getChannel((err, channel) => {
         if (err) return done(err);
@@ -71,7 +87,7 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
               removeDisconnectionHandlers();
               return done(err);
             }
-            session._open(channel, response.consumerTag, (err) => {
+            session._open(channel, response.consumerTag, removeDisconnectionHandlers, (err) => {
               if (err) return done(err);
               timer.reset();
               done();
@@ -98,53 +114,95 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
     decorateWithRoutingHeaders(message);
     if (immediateNack(message)) {
       debug('Immediately nacking message: %s from queue: %s', message.properties.messageId, config.queue);
-      ackOrNack(session, message, new Error('Immediate nack'));
+      // Pass an empty list of strategies so the message is dead lettered rather than recovered using the subscription's recovery policy
+      ackOrNack(session, message, new Error('Immediate nack'), []);
       return;
     }
 
-    decorateWithRedeliveries(message, (err) => {
-      if (err) return handleRedeliveriesError(err, session, message);
-      if (redeliveriesExceeded(message)) return handleRedeliveriesExceeded(session, message);
+    if (filter && !filter(message)) return handleFilteredMessage(session, message);
+
+    isDuplicate(message, (duplicate) => {
+      if (duplicate) return handleDuplicate(session, message);
 
-      getContent(message, config, (err, content) => {
-        err ? handleContentError(session, message, err) : session.emit('message', message, content, getAckOrNack(session, message));
+      decorateWithRedeliveries(message, (err) => {
+        if (err) return handleRedeliveriesError(err, session, message);
+        if (redeliveriesExceeded(message)) return handleRedeliveriesExceeded(session, message);
+
+        decodeContent(message, config, codecs, (err, content) => {
+          if (err) return handleContentError(session, message, err);
+          if (config.batch) return session._batchMessage(message, content);
+          if (config.orderBy) return sequenceMessage(session, config, message, content);
+          emitMessage(session, config, message, content, _.noop);
+        });
       });
     });
   }
 
-  function getContent(message, config, next) {
-    if (message.properties.headers.rascal.encryption) {
-      const encryptionConfig = config.encryption[message.properties.headers.rascal.encryption.name];
-      if (!encryptionConfig) return next(new Error(format('Unknown encryption profile: %s', message.properties.headers.rascal.encryption.name)));
-      decrypt(encryptionConfig.algorithm, encryptionConfig.key, message.properties.headers.rascal.encryption.iv, message.content, (err, unencrypted) => {
-        if (err) return next(err);
-        debug('Message was decrypted using encryption profile: %s', message.properties.headers.rascal.encryption.name);
-        const contentType = config.contentType || message.properties.headers.rascal.encryption.originalContentType;
-        negotiateContent(contentType, unencrypted, next);
-      });
-    } else {
-      const contentType = config.contentType || message.properties.contentType;
-      negotiateContent(contentType, message.content, next);
-    }
+  function handleFilteredMessage(session, message) {
+    debug('Filtered message: %s with routing key: %s from queue: %s', message.properties.messageId, message.fields.routingKey, subscriptionConfig.queue);
+    session._incrementFilteredMessageCount();
+    const done = emitOnError.bind(null, session);
+    subscriptionConfig.filter.action === 'nack' ? session._nack(message, { requeue: false }, done) : session._ack(message, done);
   }
 
-  function negotiateContent(contentType, content, next) {
-    if (contentType === 'text/plain') return next(null, content.toString());
-    if (contentType === 'application/json') return safeParse(content.toString(), next);
-    return next(null, content);
+  function getDeduplicationKey(message) {
+    return _.get(message, subscriptionConfig.deduplicate.key || 'properties.messageId');
   }
 
-  function decrypt(algorithm, keyHex, ivHex, encrypted, next) {
-    let unencrypted;
+  function isDuplicate(message, next) {
+    if (!deduplicationStore) return next(false);
+    const key = getDeduplicationKey(message);
+    if (key === undefined) return next(false);
+    deduplicationStore.has(key, (err, found) => {
+      // Processing a message twice is preferable to losing it
+      if (err) debug('Error checking whether message: %s is a duplicate. %s', key, err.message);
+      next(!err && found);
+    });
+  }
+
+  function handleDuplicate(session, message) {
+    debug('Acknowledging duplicate message: %s from queue: %s', getDeduplicationKey(message), subscriptionConfig.queue);
+    session.emit('duplicate', message);
+    ackOrNack(session, message);
+  }
+
+  function rememberMessages(messages, next) {
+    if (!deduplicationStore) return next;
+    return (err) => {
+      if (err) return next(err);
+      const keys = _.compact([].concat(messages).map(getDeduplicationKey));
+      async.eachSeries(
+        keys,
+        (key, cb) => {
+          deduplicationStore.add(key, (err) => {
+            // The message has already been acknowledged, so all we can do is report the problem
+            if (err) debug('Error recording message: %s for deduplication. %s', key, err.message);
+            cb();
+          });
+        },
+        () => next(),
+      );
+    };
+  }
+
+  function sequenceMessage(session, config, message, content) {
+    let key;
     try {
-      const key = Buffer.from(keyHex, 'hex');
-      const iv = Buffer.from(ivHex, 'hex');
-      const cipher = crypto.createDecipheriv(algorithm, key, iv);
-      unencrypted = Buffer.concat([cipher.update(encrypted), cipher.final()]);
+      key = config.orderBy(message, content);
     } catch (err) {
-      return next(err);
+      return handleContentError(session, message, err);
     }
-    next(null, unencrypted);
+    if (key === undefined || key === null) return emitMessage(session, config, message, content, _.noop);
+    session._sequenceMessage(key, message, (release) => emitMessage(session, config, message, content, release));
+  }
+
+  function emitMessage(session, config, message, content, release) {
+    session.emit('message', message, content, getHandlerAckOrNack(session, config, message, release));
+  }
+
+  function emitBatch(session, messages, contents) {
+    debug('Emitting batch of %d messages from queue: %s', messages.length, session.config.queue);
+    session.emit('batch', messages, contents, recordingOutcome(session, getBatchAckOrNack(session, messages)));
   }
 
   function handleContentError(session, message, err) {
@@ -171,11 +229,13 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
     debug(err.message);
     if (session.emit('redeliveries_exceeded', err, message, getAckOrNack(session, message))) return;
     if (session.emit('redeliveries_error', err, message, getAckOrNack(session, message))) return;
+    if (session.config.redeliveriesExceeded) return ackOrNack(session, message, err, session.config.redeliveriesExceeded, emitOnError.bind(null, session));
     nackAndError(session, message, err);
   }
 
   function nackAndError(session, message, err) {
-    ackOrNack(session, message, err, () => {
+    // Pass an empty list of strategies so the message is nacked rather than recovered using the subscription's recovery policy
+    ackOrNack(session, message, err, [], () => {
       // Using setTimeout rather than process.nextTick as the latter fires before any IO.
       // If the app shuts down before the IO has completed, the message will be rolled back
       setTimeoutUnref(session.emit.bind(session, 'error', err));
@@ -208,8 +268,10 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
 
   function countRedeliveries(message, next) {
     if (!message.fields.redelivered) return next(null, 0);
-    if (!message.properties.messageId) return next(null, 0);
-    counter.incrementAndGet(`${subscriptionConfig.name}/${message.properties.messageId}`, next);
+    if (counter.countRedeliveries) return counter.countRedeliveries(message, next);
+    const key = message.properties.messageId || (subscriptionConfig.redeliveries.fingerprint && fingerprint(message));
+    if (!key) return next(null, 0);
+    counter.incrementAndGet(`${subscriptionConfig.name}/${key}`, next);
   }
 
   function immediateNack(message) {
@@ -233,8 +295,36 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
     return true;
   }
 
+  function getHandlerAckOrNack(session, config, message, release) {
+    const handlerAckOrNack = recordingOutcome(session, getAckOrNack(session, message));
+    const timeout = config.handlerTimeout && setTimeoutUnref(() => handleHandlerTimeout(session, config, message, release), config.handlerTimeout.timeout);
+    return function (...args) {
+      clearTimeout(timeout);
+      release();
+      return handlerAckOrNack(...args);
+    };
+  }
+
+  function handleHandlerTimeout(session, config, message, release) {
+    release();
+    if (session._isAcknowledged(message)) return;
+    const err = new Error(format('Handler for message: %s timed out after %dms', message.properties.messageId, config.handlerTimeout.timeout));
+    debug(err.message);
+    session._recordOutcome(err);
+    session.emit('handler_timeout', err, message);
+    ackOrNack(session, message, err, config.handlerTimeout.recovery, emitOnError.bind(null, session));
+  }
+
+  function recordingOutcome(session, fn) {
+    // Only outcomes reported by message handlers count towards the circuit breaker
+    return function (...args) {
+      session._recordOutcome(args[0]);
+      return fn(...args);
+    };
+  }
+
   function getAckOrNack(session, message) {
-    return broker.promises && subscriptionConfig.promisifyAckOrNack ? ackOrNackP.bind(null, session, message) : ackOrNack.bind(null, session, message);
+    return broker.promises && session.config.promisifyAckOrNack ? ackOrNackP.bind(null, session, message) : ackOrNack.bind(null, session, message);
   }
 
   function ackOrNack(session, message, err, options, next) {
@@ -247,9 +337,9 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
     if (message.__rascal_acknowledged) return next(new Error('ackOrNack should only be called once per message'));
     message.__rascal_acknowledged = true;
 
-    if (err) return subscriberError.handle(session, message, err, options, next);
-    if (options && options.all) return session._ackAll(message, next);
-    session._ack(message, next);
+    if (err) return subscriberError.handle(session, message, err, options || session.config.recovery, next);
+    if (options && options.all) return session._ackAll(message, rememberMessages(message, next));
+    session._ack(message, rememberMessages(message, next));
   }
 
   function ackOrNackP(session, message, err, options) {
@@ -260,12 +350,54 @@ function Subscription(broker, vhost, subscriptionConfig, counter) {
       const next = function (err) {
         err ? reject(err) : resolve();
       };
-      if (err) subscriberError.handle(session, message, err, options, next);
-      else if (options && options.all) session._ackAll(message, next);
-      else session._ack(message, next);
+      if (err) subscriberError.handle(session, message, err, options || session.config.recovery, next);
+      else if (options && options.all) session._ackAll(message, rememberMessages(message, next));
+      else session._ack(message, rememberMessages(message, next));
+    });
+  }
+
+  function getBatchAckOrNack(session, messages) {
+    return broker.promises && session.config.promisifyAckOrNack ? batchAckOrNackP.bind(null, session, messages) : batchAckOrNack.bind(null, session, messages);
+  }
+
+  function batchAckOrNack(session, messages, err, options, next) {
+    if (arguments.length === 2) return batchAckOrNack(session, messages, undefined, undefined, emitOnError.bind(null, session));
+    if (arguments.length === 3 && _.isFunction(arguments[2])) return batchAckOrNack(session, messages, undefined, undefined, arguments[2]);
+    if (arguments.length === 3) return batchAckOrNack(session, messages, err, undefined, emitOnError.bind(null, session));
+    if (arguments.length === 4 && _.isFunction(arguments[3])) return batchAckOrNack(session, messages, err, undefined, arguments[3]);
+    if (arguments.length === 4) return batchAckOrNack(session, messages, err, options, emitOnError.bind(null, session));
+
+    if (!err && isWholeChannel(session, messages)) {
+      if (_.some(messages, '__rascal_acknowledged')) return next(new Error('ackOrNack should only be called once per message'));
+      messages.forEach((message) => {
+        message.__rascal_acknowledged = true;
+      });
+      return session._ackUpTo(_.last(messages), rememberMessages(messages, next));
+    }
+
+    async.eachSeries(
+      messages,
+      (message, cb) => {
+        ackOrNack(session, message, err, options, cb);
+      },
+      next,
+    );
+  }
+
+  function batchAckOrNackP(session, messages, err, options) {
+    return new Promise((resolve, reject) => {
+      batchAckOrNack(session, messages, err, options, (err) => {
+        err ? reject(err) : resolve();
+      });
     });
   }
 
+  function isWholeChannel(session, messages) {
+    // The batch can be acknowledged with a single multiple ack if it contains every unacknowledged message on the channel
+    const consumerTag = messages[0].fields.consumerTag;
+    return _.every(messages, (message) => message.fields.consumerTag === consumerTag) && session._getUnacknowledgedMessageCount(consumerTag) === messages.length;
+  }
+
   function emitOnError(session, err) {
     if (err) session.emit('error', err);
   }
@@ -1,5 +1,20 @@
+const _ = require('lodash');
+
 const EMPTY_X_DEATH = { count: 0, time: { value: 0 } };
 
+function parseXDeath(message) {
+  const xDeathRecords = _.get(message, ['properties', 'headers', 'x-death'], []);
+  return xDeathRecords.map((record) => ({
+    queue: record.queue,
+    exchange: record.exchange,
+    routingKeys: record['routing-keys'] || [],
+    reason: record.reason,
+    count: record.count,
+    time: record.time ? new Date(record.time.value * 1000) : undefined,
+  }));
+}
+
 module.exports = {
   EMPTY_X_DEATH,
+  parseXDeath,
 };
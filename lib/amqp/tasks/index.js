@@ -14,6 +14,7 @@ exports.deleteExchanges = require('./deleteExchanges');
 exports.deleteQueues = require('./deleteQueues');
 exports.deleteVhost = require('./deleteVhost');
 exports.initCounters = require('./initCounters');
+exports.initDeduplicationStores = require('./initDeduplicationStores');
 exports.initPublications = require('./initPublications');
 exports.initShovels = require('./initShovels');
 exports.initSubscriptions = require('./initSubscriptions');
@@ -0,0 +1,26 @@
+const debug = require('debug')('rascal:tasks:initDeduplicationStores');
+const format = require('util').format;
+const _ = require('lodash');
+const async = require('async');
+
+module.exports = _.curry((config, ctx, next) => {
+  ctx.deduplicationStores = {};
+  async.eachSeries(
+    _.values(config.deduplication.stores),
+    (storeConfig, callback) => {
+      initDeduplicationStore(storeConfig, ctx, (err, store) => {
+        ctx.deduplicationStores[storeConfig.name] = store;
+        callback(err);
+      });
+    },
+    (err) => {
+      next(err, config, ctx);
+    },
+  );
+});
+
+function initDeduplicationStore(config, ctx, next) {
+  debug('Initialising deduplication store: %s', config.name);
+  if (!ctx.components.deduplicationStores[config.type]) return next(new Error(format('Unknown deduplication store type: %s', config.type)));
+  next(null, ctx.components.deduplicationStores[config.type](config));
+}
@@ -1,6 +1,7 @@
 const debug = require('debug')('rascal:tasks:initPublication');
 const _ = require('lodash');
 const async = require('async');
+const forwardEvents = require('forward-emitter');
 const Publication = require('../Publication');
 
 module.exports = _.curry((config, ctx, next) => {
@@ -9,6 +10,7 @@ module.exports = _.curry((config, ctx, next) => {
     (publicationConfig, callback) => {
       initPublication(publicationConfig, ctx, (err, publication) => {
         if (err) return callback(err);
+        forwardEvents(publication, ctx.broker);
         ctx.broker._addPublication(publication);
         callback();
       });
@@ -20,5 +22,5 @@ module.exports = _.curry((config, ctx, next) => {
 });
 
 function initPublication(config, ctx, next) {
-  Publication.create(ctx.vhosts[config.vhost], config, next);
+  Publication.create(ctx.vhosts[config.vhost], config, ctx.components, next);
 }
@@ -19,5 +19,6 @@ module.exports = _.curry((config, ctx, next) => {
 });
 
 function initSubscription(config, ctx, next) {
-  Subscription.create(ctx.broker, ctx.vhosts[config.vhost], ctx.counters[config.redeliveries.counter], config, next);
+  const deduplicationStore = config.deduplicate && ctx.deduplicationStores[config.deduplicate.store];
+  Subscription.create(ctx.broker, ctx.vhosts[config.vhost], ctx.counters[config.redeliveries.counter], deduplicationStore, config, ctx.components, next);
 }
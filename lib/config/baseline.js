@@ -96,6 +96,21 @@ module.exports = {
         inMemory: {
           size: 1000,
         },
+        file: {
+          ttl: 3600000,
+          compactionThreshold: 10000,
+        },
+      },
+    },
+    deduplication: {
+      stores: {
+        inMemory: {
+          size: 1000,
+        },
+        file: {
+          ttl: 86400000,
+          compactionThreshold: 10000,
+        },
       },
     },
     shovels: {},
@@ -107,4 +122,7 @@ module.exports = {
       stub: {},
     },
   },
+  deduplication: {
+    stores: {},
+  },
 };
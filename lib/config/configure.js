@@ -6,9 +6,14 @@ const uuid = require('uuid').v4;
 const XRegExp = require('xregexp');
 const baseline = require('./baseline');
 const fqn = require('./fqn');
+const waitQueues = require('./waitQueues');
+const SubscriberError = require('../amqp/SubscriberError');
 
 const { URL } = url;
 
+// Recovery policies are lists of strategies, so must replace rather than be merged with the defaults
+const recoveryPolicies = ['recovery', 'redeliveriesExceeded'];
+
 module.exports = _.curry((rascalConfig, next) => {
   rascalConfig = _.defaultsDeep(rascalConfig, baseline);
 
@@ -19,8 +24,11 @@ module.exports = _.curry((rascalConfig, next) => {
     configureVhosts(rascalConfig.vhosts);
     configurePublications(rascalConfig.publications, rascalConfig.vhosts);
     configureSubscriptions(rascalConfig.subscriptions, rascalConfig.vhosts);
+    configureDelays(rascalConfig.publications);
+    configureRecoveryDelays(rascalConfig.subscriptions);
     configureShovels(rascalConfig.shovels);
     configureCounters(rascalConfig.redeliveries.counters);
+    configureDeduplicationStores(rascalConfig.deduplication.stores);
   } catch (_err) {
     err = _err;
   }
@@ -201,6 +209,65 @@ module.exports = _.curry((rascalConfig, next) => {
     }
   }
 
+  function configureDelays(publications) {
+    _.each(publications, (publicationConfig) => {
+      if (!publicationConfig.delays) return;
+      publicationConfig.delays = _.defaults(publicationConfig.delays, { mode: 'queues' });
+      if (publicationConfig.delays.mode !== 'queues') return;
+      const vhostConfig = rascalConfig.vhosts[publicationConfig.vhost];
+      if (!vhostConfig) return;
+      publicationConfig.delays.destinations = _.chain(publicationConfig.delays.tiers)
+        .keyBy()
+        .mapValues((ttl) => configureDelayTier(vhostConfig, publicationConfig, ttl))
+        .value();
+    });
+  }
+
+  function configureDelayTier(vhostConfig, publicationConfig, ttl) {
+    vhostConfig.queues = vhostConfig.queues || {};
+
+    // Messages wait in a TTL'd queue, then are dead lettered to the real destination
+    if (!Object.prototype.hasOwnProperty.call(publicationConfig, 'exchange')) {
+      const destination = _.get(vhostConfig, ['queues', publicationConfig.queue, 'fullyQualifiedName']);
+      return configureWaitQueue(vhostConfig, publicationConfig.queue, destination, ttl).fullyQualifiedName;
+    }
+
+    // Messages are routed via a fanout exchange so the wait queue preserves their routing keys
+    const name = format('%s.delay.%d', publicationConfig.exchange, ttl);
+    if (!vhostConfig.exchanges[name]) {
+      configureExchange(vhostConfig, { type: 'fanout' }, name);
+      configureQueue(vhostConfig, { options: { arguments: { 'x-message-ttl': ttl, 'x-dead-letter-exchange': publicationConfig.exchange } } }, name);
+      configureBinding(vhostConfig, { name, source: name, destination: name }, name);
+    }
+    return vhostConfig.exchanges[name].fullyQualifiedName;
+  }
+
+  // Declaring the wait queues used by delayed-republish recovery up front means they are asserted with the vhost's queue defaults
+  function configureRecoveryDelays(subscriptions) {
+    _.each(subscriptions, (subscriptionConfig) => {
+      const vhostConfig = rascalConfig.vhosts[subscriptionConfig.vhost];
+      // Every queue has an auto created subscription inheriting the default recovery policies, but most are never consumed with them
+      if (!vhostConfig || subscriptionConfig.autoCreated) return;
+      _.chain([])
+        .concat(subscriptionConfig.recovery, subscriptionConfig.redeliveriesExceeded, subscriptionConfig.routeFallback, _.get(subscriptionConfig, 'handlerTimeout.recovery'))
+        .filter({ strategy: 'delayed-republish' })
+        .flatMap(SubscriberError.getDelays)
+        .uniq()
+        .each((ttl) => {
+          configureWaitQueue(vhostConfig, subscriptionConfig.queue, subscriptionConfig.source, ttl);
+        })
+        .value();
+    });
+  }
+
+  function configureWaitQueue(vhostConfig, queue, destination, ttl) {
+    const name = format('%s.delay.%d', queue, ttl);
+    const waitQueue = vhostConfig.queues[name] || waitQueues.findWaitQueue(vhostConfig, destination, ttl);
+    if (waitQueue) return waitQueue;
+    configureQueue(vhostConfig, waitQueues.getWaitQueueConfig(destination, ttl), name);
+    return vhostConfig.queues[name];
+  }
+
   function configureVhostSubscriptions(vhostConfig) {
     _.each(vhostConfig.subscriptions, (subscriptionConfig, name) => {
       subscriptionConfig.vhost = vhostConfig.name;
@@ -232,7 +299,8 @@ module.exports = _.curry((rascalConfig, next) => {
   function configureSubscription(subscriptionConfig, name) {
     debug('Configuring subscription: %s', name);
     if (rascalConfig.subscriptions[name] && rascalConfig.subscriptions[name].vhost !== subscriptionConfig.vhost) throw new Error(format('Duplicate subscription: %s', name));
-    rascalConfig.subscriptions[name] = _.defaultsDeep(subscriptionConfig, { name }, rascalConfig.defaults.subscriptions);
+    const defaults = _.omit(rascalConfig.defaults.subscriptions, _.keys(_.pick(subscriptionConfig, recoveryPolicies)));
+    rascalConfig.subscriptions[name] = _.defaultsDeep(subscriptionConfig, { name }, defaults);
     if (!rascalConfig.vhosts[subscriptionConfig.vhost]) return;
     subscriptionConfig.source = rascalConfig.vhosts[subscriptionConfig.vhost].queues[subscriptionConfig.queue].fullyQualifiedName;
     subscriptionConfig.encryption = subscriptionConfig.encryption || _.defaultsDeep({}, rascalConfig.encryption);
@@ -274,44 +342,68 @@ module.exports = _.curry((rascalConfig, next) => {
     rascalConfig.redeliveries.counters[name] = _.defaultsDeep(counterConfig, { name, type: name }, counterDefaults);
   }
 
+  function configureDeduplicationStores(stores) {
+    rascalConfig.deduplication.stores = ensureKeyedCollection(stores);
+    _.each(rascalConfig.deduplication.stores, configureDeduplicationStore);
+  }
+
+  function configureDeduplicationStore(storeConfig, name) {
+    debug('Configuring deduplication store: %s', name);
+    const storeType = storeConfig.type || name;
+    const storeDefaults = _.get(rascalConfig, `defaults.deduplication.stores.${storeType}`);
+    rascalConfig.deduplication.stores[name] = _.defaultsDeep(storeConfig, { name, type: name }, storeDefaults);
+  }
+
   function configureExchanges(config) {
     const defaultExchange = { '': {} };
     config.exchanges = _.defaultsDeep(ensureKeyedCollection(config.exchanges), defaultExchange);
     _.each(config.exchanges, (exchangeConfig, name) => {
-      debug('Configuring exchange: %s', name);
-      config.exchanges[name] = _.defaultsDeep(exchangeConfig, { name, fullyQualifiedName: fqn.qualify(name, config.namespace) }, config.defaults.exchanges);
+      configureExchange(config, exchangeConfig, name);
     });
   }
 
+  function configureExchange(config, exchangeConfig, name) {
+    debug('Configuring exchange: %s', name);
+    config.exchanges[name] = _.defaultsDeep(exchangeConfig, { name, fullyQualifiedName: fqn.qualify(name, config.namespace) }, config.defaults.exchanges);
+  }
+
   function configureQueues(config) {
     config.queues = ensureKeyedCollection(config.queues);
     _.each(config.queues, (queueConfig, name) => {
-      debug('Configuring queue: %s', name);
-      queueConfig.replyTo = queueConfig.replyTo === true ? uuid() : queueConfig.replyTo;
-      qualifyArguments(config.namespace, queueConfig.options && queueConfig.options.arguments);
-      config.queues[name] = _.defaultsDeep(
-        queueConfig,
-        {
-          name,
-          fullyQualifiedName: fqn.qualify(name, config.namespace, queueConfig.replyTo),
-        },
-        config.defaults.queues,
-      );
+      configureQueue(config, queueConfig, name);
     });
   }
 
+  function configureQueue(config, queueConfig, name) {
+    debug('Configuring queue: %s', name);
+    queueConfig.replyTo = queueConfig.replyTo === true ? uuid() : queueConfig.replyTo;
+    qualifyArguments(config.namespace, queueConfig.options && queueConfig.options.arguments);
+    config.queues[name] = _.defaultsDeep(
+      queueConfig,
+      {
+        name,
+        fullyQualifiedName: fqn.qualify(name, config.namespace, queueConfig.replyTo),
+      },
+      config.defaults.queues,
+    );
+  }
+
   function configureBindings(config) {
     config.bindings = expandBindings(ensureKeyedCollection(config.bindings));
 
     _.each(config.bindings, (bindingConfig, name) => {
-      debug('Configuring binding: %s', name);
+      configureBinding(config, bindingConfig, name);
+    });
+  }
 
-      config.bindings[name] = _.defaultsDeep(bindingConfig, config.defaults.bindings);
+  function configureBinding(config, bindingConfig, name) {
+    debug('Configuring binding: %s', name);
 
-      if (bindingConfig.qualifyBindingKeys) {
-        config.bindings[name].bindingKey = fqn.qualify(bindingConfig.bindingKey, config.namespace);
-      }
-    });
+    config.bindings[name] = _.defaultsDeep(bindingConfig, config.defaults.bindings);
+
+    if (bindingConfig.qualifyBindingKeys) {
+      config.bindings[name].bindingKey = fqn.qualify(bindingConfig.bindingKey, config.namespace);
+    }
   }
 
   function parseBindingName(name) {
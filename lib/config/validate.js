@@ -1,14 +1,24 @@
 const debug = require('debug')('rascal:config:validate');
 const format = require('util').format;
 const _ = require('lodash');
+const compression = require('../utils/compression');
+const SubscriberError = require('../amqp/SubscriberError');
+
+module.exports = function validate(config, components, next) {
+  if (arguments.length === 2) return validate(config, {}, arguments[1]);
+
+  const recoveryStrategies = SubscriberError.strategies.concat(_.keys(components.recoveryStrategies));
 
-module.exports = _.curry((config, next) => {
   try {
     validateVhosts(config.vhosts);
     validatePublications(config.publications);
     validateSubscriptions(config.subscriptions);
     validateEncryptionProfiles(config.encryption);
     validateShovels(config.shovels);
+    validateCounters(_.get(config, 'redeliveries.counters'));
+    validateDeduplicationStores(_.get(config, 'deduplication.stores'));
+    if (config.quarantine) validateQuarantine(config.quarantine);
+    validateRecoveryStrategies(components.recoveryStrategies);
   } catch (err) {
     return next(err, config);
   }
@@ -66,6 +76,9 @@ module.exports = _.curry((config, next) => {
 
   function validateExchange(vhost, vhostName, exchange, exchangeName) {
     validateVhostChildAttributes(vhostName, 'Exchange', exchange, exchangeName, ['fullyQualifiedName', 'name', 'assert', 'check', 'type', 'options']);
+    if (exchange.type === 'x-delayed-message' && !_.get(exchange, ['options', 'arguments', 'x-delayed-type'])) {
+      throw new Error(format('Exchange: %s in vhost: %s is missing the x-delayed-type argument', exchangeName, vhostName));
+    }
   }
 
   function validateQueues(vhost, vhostName, queues) {
@@ -101,7 +114,7 @@ module.exports = _.curry((config, next) => {
   }
 
   function validatePublication(publication, publicationName) {
-    validateAttributes('Publication', publication, publicationName, ['name', 'vhost', 'exchange', 'queue', 'routingKey', 'confirm', 'options', 'destination', 'autoCreated', 'deprecated', 'encryption', 'replyTo', 'timeout']);
+    validateAttributes('Publication', publication, publicationName, ['name', 'vhost', 'exchange', 'queue', 'routingKey', 'confirm', 'options', 'destination', 'autoCreated', 'deprecated', 'encryption', 'compression', 'outbox', 'delays', 'replyTo', 'timeout']);
     if (!publication.vhost) throw new Error(format('Publication: %s is missing a vhost', publicationName));
     if (!(Object.prototype.hasOwnProperty.call(publication, 'exchange') || publication.queue)) throw new Error(format('Publication: %s is missing an exchange or a queue', publicationName));
     if (Object.prototype.hasOwnProperty.call(publication, 'exchange') && publication.queue) throw new Error(format('Publication: %s has an exchange and a queue', publicationName));
@@ -118,6 +131,32 @@ module.exports = _.curry((config, next) => {
     }
 
     if (publication.encryption) validateEncryptionProfile(publication.encryption);
+    if (publication.compression && !compression[publication.compression]) throw new Error(format('Publication: %s refers to an unknown compression algorithm: %s', publicationName, publication.compression));
+    if (publication.outbox) validateOutbox(publication, publicationName);
+    if (publication.delays) validateDelays(publication, publicationName);
+  }
+
+  function validateDelays(publication, publicationName) {
+    const delays = publication.delays;
+    validateAttributes('Publication delays', delays, publicationName, ['mode', 'tiers', 'destinations']);
+    if (delays.mode === 'x-delayed-message') return validateDelayedMessageExchange(publication, publicationName);
+    if (delays.mode !== 'queues') throw new Error(format('Publication: %s refers to an unknown delay mode: %s', publicationName, delays.mode));
+    if (!_.isArray(delays.tiers) || delays.tiers.length === 0) throw new Error(format('Publication: %s is missing delay tiers', publicationName));
+    const invalid = _.find(delays.tiers, (tier) => !Number.isInteger(tier) || tier <= 0);
+    if (invalid !== undefined) throw new Error(format('Publication: %s has an invalid delay tier: %s', publicationName, invalid));
+  }
+
+  function validateDelayedMessageExchange(publication, publicationName) {
+    if (!Object.prototype.hasOwnProperty.call(publication, 'exchange')) throw new Error(format('Publication: %s must publish to an exchange to use x-delayed-message delays', publicationName));
+    const exchange = config.vhosts[publication.vhost].exchanges[publication.exchange];
+    if (exchange.type !== 'x-delayed-message') throw new Error(format('Publication: %s refers to exchange: %s which is not an x-delayed-message exchange', publicationName, publication.exchange));
+  }
+
+  function validateOutbox(publication, publicationName) {
+    if (!publication.confirm) throw new Error(format('Publication: %s must use confirms to use an outbox', publicationName));
+    if (!publication.outbox.file) throw new Error(format('Publication: %s outbox is missing a file', publicationName));
+    const other = _.find(config.publications, (candidate, candidateName) => candidateName !== publicationName && _.get(candidate, 'outbox.file') === publication.outbox.file);
+    if (other) throw new Error(format('Publication: %s outbox file: %s is also used by publication: %s', publicationName, publication.outbox.file, other.name));
   }
 
   function validateSubscriptions(subscriptions) {
@@ -146,6 +185,15 @@ module.exports = _.curry((config, next) => {
       'closeTimeout',
       'encryption',
       'promisifyAckOrNack',
+      'batch',
+      'circuitBreaker',
+      'handlerTimeout',
+      'deduplicate',
+      'orderBy',
+      'routeFallback',
+      'filter',
+      'redeliveriesExceeded',
+      'history',
     ]);
 
     if (!subscription.vhost) throw new Error(format('Subscription: %s is missing a vhost', subscriptionName));
@@ -161,6 +209,73 @@ module.exports = _.curry((config, next) => {
     if (!config.redeliveries.counters[subscription.redeliveries.counter]) throw new Error(format('Subscription: %s refers to an unknown counter: %s in vhost: %s', subscriptionName, subscription.redeliveries.counter, subscription.vhost));
 
     if (subscription.encryption) validateEncryptionProfiles(subscription.encryption);
+    if (subscription.batch) validateBatch(subscription, subscriptionName);
+    if (subscription.circuitBreaker) validateCircuitBreaker(subscription.circuitBreaker, subscriptionName);
+    if (subscription.handlerTimeout) validateHandlerTimeout(subscription.handlerTimeout, subscriptionName);
+    if (subscription.history) validateHistory(subscription.history, subscriptionName);
+    if (subscription.deduplicate) validateDeduplicate(subscription.deduplicate, subscriptionName);
+    if (subscription.recovery) validateRecovery(subscription.recovery, subscriptionName);
+    if (subscription.redeliveriesExceeded) validateRecovery(subscription.redeliveriesExceeded, subscriptionName);
+    if (subscription.routeFallback) validateRecovery(subscription.routeFallback, subscriptionName);
+    if (subscription.filter) validateFilter(subscription.filter, subscriptionName);
+    if (subscription.orderBy && !_.isFunction(subscription.orderBy)) throw new Error(format('Subscription: %s orderBy must be a function', subscriptionName));
+  }
+
+  function validateBatch(subscription, subscriptionName) {
+    const batch = subscription.batch;
+    validateAttributes('Subscription batch', batch, subscriptionName, ['size', 'timeoutMs']);
+    if (!Number.isInteger(batch.size) || batch.size <= 0) throw new Error(format('Subscription: %s has an invalid batch size: %s', subscriptionName, batch.size));
+    if (batch.timeoutMs !== undefined && !(batch.timeoutMs > 0)) throw new Error(format('Subscription: %s has an invalid batch timeout: %s', subscriptionName, batch.timeoutMs));
+    // Batches could never fill if the broker will not deliver enough unacknowledged messages
+    _.each(['prefetch', 'channelPrefetch'], (attribute) => {
+      if (subscription[attribute] && subscription[attribute] < batch.size) {
+        throw new Error(format('Subscription: %s batch size: %d exceeds its %s: %d', subscriptionName, batch.size, attribute, subscription[attribute]));
+      }
+    });
+    // Batches are acknowledged and emitted as a whole, so per message timeouts and ordering cannot be honoured
+    _.each(['handlerTimeout', 'orderBy'], (attribute) => {
+      if (subscription[attribute]) throw new Error(format('Subscription: %s cannot specify both batch and %s', subscriptionName, attribute));
+    });
+  }
+
+  function validateCircuitBreaker(circuitBreaker, subscriptionName) {
+    validateAttributes('Subscription circuit breaker', circuitBreaker, subscriptionName, ['threshold', 'window', 'cooldown']);
+    if (circuitBreaker.threshold !== undefined && !(circuitBreaker.threshold > 0 && circuitBreaker.threshold <= 1)) throw new Error(format('Subscription: %s has an invalid circuit breaker threshold: %s', subscriptionName, circuitBreaker.threshold));
+    if (circuitBreaker.window !== undefined && !(Number.isInteger(circuitBreaker.window) && circuitBreaker.window > 0)) throw new Error(format('Subscription: %s has an invalid circuit breaker window: %s', subscriptionName, circuitBreaker.window));
+    if (circuitBreaker.cooldown !== undefined && !(circuitBreaker.cooldown > 0)) throw new Error(format('Subscription: %s has an invalid circuit breaker cooldown: %s', subscriptionName, circuitBreaker.cooldown));
+  }
+
+  function validateHistory(history, subscriptionName) {
+    validateAttributes('Subscription history', history, subscriptionName, ['limit', 'stack']);
+    if (history.limit !== undefined && !(Number.isInteger(history.limit) && history.limit > 0)) throw new Error(format('Subscription: %s has an invalid history limit: %s', subscriptionName, history.limit));
+  }
+
+  function validateHandlerTimeout(handlerTimeout, subscriptionName) {
+    validateAttributes('Subscription handler timeout', handlerTimeout, subscriptionName, ['timeout', 'recovery']);
+    if (!(handlerTimeout.timeout > 0)) throw new Error(format('Subscription: %s has an invalid handler timeout: %s', subscriptionName, handlerTimeout.timeout));
+    if (handlerTimeout.recovery) validateRecovery(handlerTimeout.recovery, subscriptionName);
+  }
+
+  function validateRecovery(recovery, subscriptionName) {
+    _.each([].concat(recovery), (recoveryConfig) => {
+      if (!recoveryStrategies.includes(recoveryConfig.strategy)) throw new Error(format('Subscription: %s refers to an unknown recovery strategy: %s', subscriptionName, recoveryConfig.strategy));
+      if (recoveryConfig.strategy === 'delayed-republish' && SubscriberError.isRandomised(recoveryConfig.backoff)) throw new Error(format('Subscription: %s uses a randomised linear backoff for the delayed-republish recovery strategy', subscriptionName));
+      if (recoveryConfig.strategy === 'quarantine' && !config.quarantine) throw new Error(format('Subscription: %s refers to the quarantine recovery strategy, but quarantine is not configured', subscriptionName));
+      if (recoveryConfig.when && !_.isFunction(recoveryConfig.when)) validateAttributes('Recovery condition', recoveryConfig.when, subscriptionName, ['code', 'name', 'message']);
+    });
+  }
+
+  function validateFilter(filter, subscriptionName) {
+    validateAttributes('Subscription filter', filter, subscriptionName, ['match', 'action']);
+    if (!filter.match) throw new Error(format('Subscription: %s filter is missing a match', subscriptionName));
+    validateAttributes('Subscription filter match', filter.match, subscriptionName, ['routingKey', 'type', 'headers', 'properties']);
+    if (![undefined, 'ack', 'nack'].includes(filter.action)) throw new Error(format('Subscription: %s filter refers to an unknown action: %s', subscriptionName, filter.action));
+  }
+
+  function validateDeduplicate(deduplicate, subscriptionName) {
+    validateAttributes('Subscription deduplicate', deduplicate, subscriptionName, ['store', 'key']);
+    if (!deduplicate.store) throw new Error(format('Subscription: %s is missing a deduplication store', subscriptionName));
+    if (!_.get(config, ['deduplication', 'stores', deduplicate.store])) throw new Error(format('Subscription: %s refers to an unknown deduplication store: %s', subscriptionName, deduplicate.store));
   }
 
   function validateEncryptionProfiles(encryption) {
@@ -174,6 +289,35 @@ module.exports = _.curry((config, next) => {
     if (!encryption.ivLength) throw new Error(format('Encryption profile: %s is missing ivLength', encryptionName));
   }
 
+  function validateCounters(counters) {
+    _.each(counters, validateCounter);
+  }
+
+  function validateCounter(counter, counterName) {
+    if (counter.type === 'file' && !counter.file) throw new Error(format('Counter: %s is missing a file', counterName));
+  }
+
+  function validateDeduplicationStores(stores) {
+    _.each(stores, validateDeduplicationStore);
+  }
+
+  function validateDeduplicationStore(store, storeName) {
+    if (store.type === 'file' && !store.file) throw new Error(format('Deduplication store: %s is missing a file', storeName));
+  }
+
+  function validateQuarantine(quarantine) {
+    validateAttributes('Quarantine', quarantine, 'quarantine', ['file']);
+    if (!quarantine.file) throw new Error('Quarantine is missing a file');
+  }
+
+  function validateRecoveryStrategies(strategies) {
+    _.each(strategies, (strategy, name) => {
+      // Custom strategies would otherwise silently replace the built in or internal strategy with the same name
+      if (SubscriberError.reservedStrategies.includes(name)) throw new Error(format('Recovery strategy: %s conflicts with a built in strategy', name));
+      if (!strategy || !_.isFunction(strategy.execute)) throw new Error(format('Recovery strategy: %s is missing an execute function', name));
+    });
+  }
+
   function validateShovels(shovels) {
     _.each(shovels, validateShovel);
   }
@@ -186,4 +330,4 @@ module.exports = _.curry((config, next) => {
     if (!config.subscriptions[shovel.subscription]) throw new Error(format('Shovel: %s refers to an unknown subscription: %s', shovelName, shovel.subscription));
     if (!config.publications[shovel.publication]) throw new Error(format('Shovel: %s refers to an unknown publication: %s', shovelName, shovel.publication));
   }
-});
+};
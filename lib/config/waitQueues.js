@@ -0,0 +1,23 @@
+const _ = require('lodash');
+
+module.exports = {
+  getWaitQueueConfig,
+  findWaitQueue,
+};
+
+// Messages wait in a TTL'd queue, then are dead lettered to the destination queue via the default exchange
+function getWaitQueueConfig(destination, ttl) {
+  return {
+    options: {
+      arguments: {
+        'x-message-ttl': ttl,
+        'x-dead-letter-exchange': '',
+        'x-dead-letter-routing-key': destination,
+      },
+    },
+  };
+}
+
+function findWaitQueue(vhostConfig, destination, ttl) {
+  return _.find(_.get(vhostConfig, 'queues'), (queueConfig) => _.isMatch(queueConfig, getWaitQueueConfig(destination, ttl)));
+}
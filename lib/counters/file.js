@@ -0,0 +1,15 @@
+const _ = require('lodash');
+const fileJournal = require('../utils/fileJournal');
+
+module.exports = function init(options) {
+  const journal = fileJournal(options.file, {
+    ttl: _.get(options, 'ttl') || 3600000,
+    compactionThreshold: _.get(options, 'compactionThreshold') || 10000,
+  });
+
+  return {
+    incrementAndGet(key, next) {
+      journal.update(key, (redeliveries) => (redeliveries || 0) + 1, next);
+    },
+  };
+};
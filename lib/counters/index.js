@@ -1,9 +1,13 @@
 const stub = require('./stub');
 const inMemory = require('./inMemory');
 const inMemoryCluster = require('./inMemoryCluster');
+const xDeliveryCount = require('./xDeliveryCount');
+const file = require('./file');
 
 module.exports = {
   stub,
   inMemory,
   inMemoryCluster,
+  xDeliveryCount,
+  file,
 };
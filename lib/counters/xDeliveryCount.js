@@ -0,0 +1,11 @@
+const _ = require('lodash');
+
+// Quorum queues record the number of previous delivery attempts in the x-delivery-count header,
+// so there is no need to keep count
+module.exports = function () {
+  return {
+    countRedeliveries(message, next) {
+      next(null, _.get(message, ['properties', 'headers', 'x-delivery-count'], 0));
+    },
+  };
+};
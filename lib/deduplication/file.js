@@ -0,0 +1,22 @@
+const _ = require('lodash');
+const fileJournal = require('../utils/fileJournal');
+
+module.exports = function init(options) {
+  const journal = fileJournal(options.file, {
+    ttl: _.get(options, 'ttl') || 86400000,
+    compactionThreshold: _.get(options, 'compactionThreshold') || 10000,
+  });
+
+  return {
+    has(key, next) {
+      journal.get(key, (err, value) => {
+        next(err, value !== undefined);
+      });
+    },
+    add(key, next) {
+      journal.update(key, () => true, (err) => {
+        next(err);
+      });
+    },
+  };
+};
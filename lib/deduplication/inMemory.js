@@ -0,0 +1,17 @@
+const _ = require('lodash');
+const LRUCache = require('lru-cache');
+
+module.exports = function init(options) {
+  const size = _.get(options, 'size') || 1000;
+  const cache = new LRUCache({ max: size });
+
+  return {
+    has(key, next) {
+      next(null, cache.has(key));
+    },
+    add(key, next) {
+      cache.set(key, true);
+      next();
+    },
+  };
+};
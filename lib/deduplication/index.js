@@ -0,0 +1,7 @@
+const inMemory = require('./inMemory');
+const file = require('./file');
+
+module.exports = {
+  inMemory,
+  file,
+};
@@ -0,0 +1,19 @@
+const zlib = require('zlib');
+
+module.exports = {
+  gzip: {
+    encoding: 'gzip',
+    compress: zlib.gzip,
+    decompress: zlib.gunzip,
+  },
+  deflate: {
+    encoding: 'deflate',
+    compress: zlib.deflate,
+    decompress: zlib.inflate,
+  },
+  brotli: {
+    encoding: 'br',
+    compress: zlib.brotliCompress,
+    decompress: zlib.brotliDecompress,
+  },
+};
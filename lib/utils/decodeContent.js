@@ -0,0 +1,72 @@
+const debug = require('debug')('rascal:decodeContent');
+const _ = require('lodash');
+const format = require('util').format;
+const crypto = require('crypto');
+const safeParse = require('safe-json-parse/callback');
+const compression = require('./compression');
+
+// Reverses the encoding, compression and encryption applied when the message was published.
+// The config supplies the encryption profiles and an optional contentType override.
+module.exports = function decodeContent(message, config, codecs, next) {
+  const encryption = _.get(message, 'properties.headers.rascal.encryption');
+  if (encryption) {
+    const encryptionConfig = _.get(config, ['encryption', encryption.name]);
+    if (!encryptionConfig) return next(new Error(format('Unknown encryption profile: %s', encryption.name)));
+    decrypt(encryptionConfig.algorithm, encryptionConfig.key, encryption.iv, message.content, (err, unencrypted) => {
+      if (err) return next(err);
+      debug('Message was decrypted using encryption profile: %s', encryption.name);
+      decompress(message.properties.contentEncoding, unencrypted, (err, decompressed) => {
+        if (err) return next(err);
+        const contentType = config.contentType || encryption.originalContentType;
+        negotiateContent(contentType, decompressed, codecs, next);
+      });
+    });
+  } else {
+    decompress(message.properties.contentEncoding, message.content, (err, decompressed) => {
+      if (err) return next(err);
+      const contentType = config.contentType || message.properties.contentType;
+      negotiateContent(contentType, decompressed, codecs, next);
+    });
+  }
+};
+
+function decompress(contentEncoding, content, next) {
+  const algorithm = _.find(compression, { encoding: contentEncoding });
+  if (!algorithm) return next(null, content);
+  algorithm.decompress(content, (err, decompressed) => {
+    if (err) return next(err);
+    debug('Message was decompressed using content encoding: %s', contentEncoding);
+    next(null, decompressed);
+  });
+}
+
+function negotiateContent(contentType, content, codecs, next) {
+  if (codecs[contentType]) return decodeWithCodec(contentType, content, codecs, next);
+  if (contentType === 'text/plain') return next(null, content.toString());
+  if (contentType === 'application/json') return safeParse(content.toString(), next);
+  return next(null, content);
+}
+
+function decodeWithCodec(contentType, content, codecs, next) {
+  let decoded;
+  try {
+    decoded = codecs[contentType].decode(content);
+  } catch (err) {
+    return next(err);
+  }
+  debug('Message was decoded using codec for content type: %s', contentType);
+  next(null, decoded);
+}
+
+function decrypt(algorithm, keyHex, ivHex, encrypted, next) {
+  let unencrypted;
+  try {
+    const key = Buffer.from(keyHex, 'hex');
+    const iv = Buffer.from(ivHex, 'hex');
+    const cipher = crypto.createDecipheriv(algorithm, key, iv);
+    unencrypted = Buffer.concat([cipher.update(encrypted), cipher.final()]);
+  } catch (err) {
+    return next(err);
+  }
+  next(null, unencrypted);
+}
@@ -0,0 +1,142 @@
+const debug = require('debug')('rascal:utils:fileJournal');
+const fs = require('fs');
+const async = require('async');
+const jsonLines = require('./jsonLines');
+
+// A key value store which survives restarts by appending each update to a file.
+// Keys expire if they have not been updated within the ttl, or never if there is no ttl.
+module.exports = function fileJournal(file, options) {
+  const ttl = options.ttl;
+  const compactionThreshold = options.compactionThreshold;
+  const records = new Map();
+  const operations = async.queue((task, cb) => task(cb), 1);
+  let loaded = false;
+  let fd;
+  let appended = 0;
+
+  return {
+    load(next) {
+      operations.push(ensureLoaded, next);
+    },
+    get(key, next) {
+      operations.push((cb) => {
+        ensureLoaded((err) => {
+          if (err) return cb(err);
+          cb(null, getValue(key, Date.now()));
+        });
+      }, next);
+    },
+    update(key, fn, next) {
+      operations.push((cb) => {
+        ensureLoaded((err) => {
+          if (err) return cb(err);
+          const now = Date.now();
+          const previous = records.get(key);
+          const record = { key, value: fn(getValue(key, now)), expires: ttl ? now + ttl : undefined };
+          records.set(key, record);
+          append(record, options.sync, (err) => {
+            if (err) restore(key, previous);
+            cb(err, record.value);
+          });
+        });
+      }, next);
+    },
+    remove(key, next) {
+      operations.push((cb) => {
+        ensureLoaded((err) => {
+          if (err) return cb(err);
+          if (!records.delete(key)) return cb();
+          // Compacting an empty journal truncates the file
+          if (records.size === 0) return compact(cb);
+          append({ key, removed: true }, false, cb);
+        });
+      }, (err) => {
+        next(err);
+      });
+    },
+    // Only reflects the file once the journal has been loaded
+    values() {
+      const now = Date.now();
+      return Array.from(records.values())
+        .filter((record) => isLive(record, now))
+        .map((record) => record.value);
+    },
+  };
+
+  function getValue(key, now) {
+    const record = records.get(key);
+    return record && isLive(record, now) ? record.value : undefined;
+  }
+
+  function restore(key, record) {
+    if (record) records.set(key, record);
+    else records.delete(key);
+  }
+
+  function ensureLoaded(next) {
+    if (loaded) return next();
+    load((err) => {
+      loaded = !err;
+      next(err);
+    });
+  }
+
+  function load(next) {
+    jsonLines.read(file, (err, entries) => {
+      if (err) return next(err);
+      entries.forEach((record) => {
+        if (record.removed) records.delete(record.key);
+        else records.set(record.key, record);
+      });
+      compact(next);
+    });
+  }
+
+  function append(record, sync, next) {
+    // The file will not be open if a previous compaction failed, but compacting writes every live record
+    if (fd === undefined) return compact(next);
+    fs.write(fd, jsonLines.serialise(record), (err) => {
+      if (err) return next(err);
+      // Compact once superseded and expired records are likely to outnumber live ones
+      if (++appended >= Math.max(compactionThreshold, records.size)) return compact(next);
+      if (sync) return fs.fdatasync(fd, next);
+      next();
+    });
+  }
+
+  function compact(next) {
+    const now = Date.now();
+    records.forEach((record, key) => {
+      if (!isLive(record, now)) records.delete(key);
+    });
+    debug('Compacting file: %s with %d live keys', file, records.size);
+    async.series(
+      [
+        (cb) => {
+          if (fd === undefined) return cb();
+          fs.close(fd, (err) => {
+            fd = undefined;
+            cb(err);
+          });
+        },
+        (cb) => {
+          jsonLines.write(file, Array.from(records.values()), { sync: options.sync }, cb);
+        },
+        (cb) => {
+          fs.open(file, 'a', (err, _fd) => {
+            fd = _fd;
+            appended = 0;
+            cb(err);
+          });
+        },
+      ],
+      (err) => {
+        next(err);
+      },
+    );
+  }
+};
+
+function isLive(record, now) {
+  return record.expires === undefined || record.expires > now;
+}
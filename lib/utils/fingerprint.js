@@ -0,0 +1,10 @@
+const crypto = require('crypto');
+
+// Derives a stable key for messages without a messageId from their content and routing fields.
+// Uses the original routing fields when the message has been republished by a recovery strategy.
+module.exports = function fingerprint(message) {
+  const rascal = message.properties.headers.rascal || {};
+  const exchange = rascal.originalExchange || message.fields.exchange;
+  const routingKey = rascal.originalRoutingKey || message.fields.routingKey;
+  return crypto.createHash('sha256').update(`${exchange}\0${routingKey}\0`).update(message.content).digest('hex');
+};
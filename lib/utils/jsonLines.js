@@ -0,0 +1,81 @@
+const debug = require('debug')('rascal:utils:jsonLines');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const async = require('async');
+
+// Reads and writes files of newline delimited JSON records, which may be appended to one record at a time
+module.exports = {
+  read,
+  write,
+  append,
+  serialise,
+};
+
+function read(file, next) {
+  fs.readFile(file, 'utf8', (err, text) => {
+    if (err && err.code !== 'ENOENT') return next(err);
+    const records = _.compact((text || '').split('\n')).reduce((parsed, line) => {
+      try {
+        return parsed.concat(JSON.parse(line));
+      } catch (err) {
+        // A partially written record is expected if the process died mid append
+        debug('Ignoring corrupt record in file: %s. %s', file, err.message);
+        return parsed;
+      }
+    }, []);
+    next(null, records);
+  });
+}
+
+// Writes to a temporary file first, so the original survives if the process dies mid write.
+// When synced, neither the records nor the rename are lost if the machine fails once the callback is invoked.
+function write(file, records, options, next) {
+  if (arguments.length === 3) return write(file, records, {}, arguments[2]);
+  const tmp = `${file}.tmp`;
+  const text = records.map(serialise).join('');
+  async.series(
+    [
+      (cb) => writeFile(tmp, text, 'w', options.sync, cb),
+      (cb) => fs.rename(tmp, file, cb),
+      (cb) => {
+        if (!options.sync) return cb();
+        syncDirectory(path.dirname(file), cb);
+      },
+    ],
+    (err) => {
+      next(err);
+    },
+  );
+}
+
+// Synced, since callers use this to persist records which would otherwise be lost
+function append(file, record, next) {
+  writeFile(file, serialise(record), 'a', true, next);
+}
+
+function serialise(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+function writeFile(file, text, flags, sync, next) {
+  fs.open(file, flags, (err, fd) => {
+    if (err) return next(err);
+    async.series([(cb) => fs.write(fd, text, cb), (cb) => (sync ? fs.fdatasync(fd, cb) : cb())], (err) => {
+      fs.close(fd, (closeErr) => {
+        next(err || closeErr);
+      });
+    });
+  });
+}
+
+function syncDirectory(directory, next) {
+  fs.open(directory, 'r', (err, fd) => {
+    if (err) return next(err);
+    fs.fsync(fd, (err) => {
+      fs.close(fd, (closeErr) => {
+        next(err || closeErr);
+      });
+    });
+  });
+}
@@ -0,0 +1,24 @@
+const _ = require('lodash');
+
+// Creates a predicate which matches messages by routing key, using AMQP topic semantics,
+// and optionally by type, properties and headers. A string is shorthand for a routing key pattern.
+module.exports = function messageMatcher(pattern) {
+  const criteria = _.isString(pattern) ? { routingKey: pattern } : pattern;
+  const routingKeyWords = criteria.routingKey !== undefined && criteria.routingKey.split('.');
+
+  return function matches(message) {
+    if (routingKeyWords && !matchesTopic(routingKeyWords, message.fields.routingKey.split('.'))) return false;
+    if (criteria.type !== undefined && criteria.type !== message.properties.type) return false;
+    if (!_.every(criteria.properties, (value, name) => _.isEqual(message.properties[name], value))) return false;
+    return _.every(criteria.headers, (value, name) => _.isEqual(_.get(message, ['properties', 'headers', name]), value));
+  };
+};
+
+function matchesTopic(patternWords, keyWords) {
+  if (patternWords.length === 0) return keyWords.length === 0;
+  const [word, ...remainingWords] = patternWords;
+  // A hash matches zero or more words, so try consuming none, then one more
+  if (word === '#') return matchesTopic(remainingWords, keyWords) || (keyWords.length > 0 && matchesTopic(patternWords, keyWords.slice(1)));
+  if (keyWords.length === 0) return false;
+  return (word === '*' || word === keyWords[0]) && matchesTopic(remainingWords, keyWords.slice(1));
+}
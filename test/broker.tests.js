@@ -530,6 +530,206 @@ describe('Broker', () => {
     });
   });
 
+  it('should request and receive a reply', (test, done) => {
+    const config = _.defaultsDeep({ vhosts: getRpcVhosts() }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.respond(
+        's2',
+        (content, message, cb) => {
+          assert.strictEqual(content, 'ping');
+          cb(null, { reply: 'pong' });
+        },
+        (err) => {
+          assert.ifError(err);
+          broker.request('p3', 'ping', (err, reply) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(reply, { reply: 'pong' });
+            done();
+          });
+        },
+      );
+    });
+  });
+
+  it('should decode replies compressed using the publication defaults', (test, done) => {
+    const config = _.defaultsDeep({ vhosts: getRpcVhosts(), defaults: { publications: { compression: 'gzip' } } }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.respond(
+        's2',
+        (content, message, cb) => {
+          assert.strictEqual(content, 'ping');
+          cb(null, { reply: 'pong' });
+        },
+        (err) => {
+          assert.ifError(err);
+          broker.request('p3', 'ping', (err, reply, message) => {
+            assert.ifError(err);
+            assert.strictEqual(message.properties.contentEncoding, 'gzip');
+            assert.deepStrictEqual(reply, { reply: 'pong' });
+            done();
+          });
+        },
+      );
+    });
+  });
+
+  it('should request and receive an error reply', (test, done) => {
+    const config = _.defaultsDeep({ vhosts: getRpcVhosts() }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.respond(
+        's2',
+        () => {
+          return Promise.reject(Object.assign(new Error('Oh Noes'), { code: 'E_NOES' }));
+        },
+        (err) => {
+          assert.ifError(err);
+          broker.request('p3', 'ping', (err) => {
+            assert.ok(err);
+            assert.strictEqual(err.message, 'Oh Noes');
+            assert.strictEqual(err.code, 'E_NOES');
+            done();
+          });
+        },
+      );
+    });
+  });
+
+  it('should time out requests that receive no reply', (test, done) => {
+    const config = _.defaultsDeep({ vhosts: getRpcVhosts() }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.request('p3', 'ping', { timeout: 100 }, (err) => {
+        assert.ok(err);
+        assert.ok(/^Timedout after 100ms waiting for a reply to request: .+ from publication: p3$/.test(err.message), err.message);
+        done();
+      });
+    });
+  });
+
+  it('should reject pending requests when the reply consumer is closed', (test, done) => {
+    const config = _.defaultsDeep({ vhosts: getRpcVhosts() }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.request('p3', 'ping', { timeout: 5000 }, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, 'Reply consumer for vhost: / was closed');
+        done();
+      });
+      setTimeout(() => {
+        broker.bounce(assert.ifError);
+      }, 100);
+    });
+  });
+
+  it('should replay dead letters to their original queue', (test, done) => {
+    const config = _.defaultsDeep({ vhosts: getDeadLetterVhosts() }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.publish('p1', 'replay me', { routingKey: 'foo', options: { type: 'order.created' } }, assert.ifError);
+      broker.publish('p1', 'leave me', { routingKey: 'bar', options: { type: 'order.deleted' } }, assert.ifError);
+
+      let deliveries = 0;
+      broker.subscribe('s1', (err, subscription) => {
+        assert.ifError(err);
+        subscription.on('message', (message, content, ackOrNack) => {
+          if (++deliveries <= 2) return ackOrNack(new Error('oh no'), { strategy: 'nack' }, replay);
+          ackOrNack();
+          assert.strictEqual(content, 'replay me');
+          assert.strictEqual(message.fields.routingKey, 'foo');
+          amqputils.assertMessage('dlq', namespace, 'leave me', done);
+        });
+      });
+
+      const replay = _.after(2, () => {
+        broker.replayDeadLetters('dlq', { filter: { type: 'order.created' } }, (err, stats) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(stats, { replayed: 1, skipped: 1, failed: 0 });
+        });
+      });
+    });
+  });
+
+  it('should reject replaying dead letters from unknown queues', (test, done) => {
+    const config = _.defaultsDeep({ vhosts }, testConfig);
+
+    createBroker(config, (err, broker) => {
+      assert.ifError(err);
+      broker.replayDeadLetters('dlq', (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, 'Unknown subscription or queue: dlq');
+        done();
+      });
+    });
+  });
+
+  function getDeadLetterVhosts() {
+    return _.defaultsDeep(
+      {
+        '/': {
+          exchanges: {
+            dlx: {
+              assert: true,
+              type: 'fanout',
+            },
+          },
+          queues: {
+            q1: {
+              options: {
+                arguments: {
+                  'x-dead-letter-exchange': 'dlx',
+                },
+              },
+            },
+            dlq: {
+              assert: true,
+            },
+          },
+          bindings: {
+            b2: {
+              source: 'dlx',
+              destination: 'dlq',
+            },
+          },
+        },
+      },
+      vhosts,
+    );
+  }
+
+  function getRpcVhosts() {
+    return _.defaultsDeep(
+      {
+        '/': {
+          queues: {
+            q2: {
+              assert: true,
+            },
+          },
+          subscriptions: {
+            s2: {
+              queue: 'q2',
+            },
+          },
+          publications: {
+            p3: {
+              queue: 'q2',
+            },
+          },
+        },
+      },
+      vhosts,
+    );
+  }
+
   function createBroker(config, components, next) {
     if (arguments.length === 2) return createBroker(config, {}, arguments[1]);
     Broker.create(config, components, (err, _broker) => {
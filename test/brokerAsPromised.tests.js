@@ -223,6 +223,34 @@ describe('Broker As Promised', () => {
     });
   });
 
+  it('should request and receive a reply', () => {
+    const rpcVhosts = _.defaultsDeep(
+      {
+        '/': {
+          queues: { q2: { assert: true } },
+          subscriptions: { s2: { queue: 'q2' } },
+          publications: { p3: { queue: 'q2' } },
+        },
+      },
+      vhosts,
+    );
+    const config = _.defaultsDeep({ vhosts: rpcVhosts }, testConfig);
+
+    return createBroker(config).then((broker) => {
+      return broker
+        .respond('s2', async (content) => {
+          return { reply: content === 'ping' ? 'pong' : 'what?' };
+        })
+        .then((session) => {
+          assert.strictEqual(session.constructor.name, 'SubscriberSessionAsPromised');
+          return broker.request('p3', 'ping');
+        })
+        .then((reply) => {
+          assert.deepStrictEqual(reply, { reply: 'pong' });
+        });
+    });
+  });
+
   it('should get vhost connections', () => {
     const config = _.defaultsDeep({ vhosts }, testConfig);
     return createBroker(config).then((broker) => {
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const async = require('async');
+const uuid = require('uuid').v4;
+const deduplicationStores = require('../../lib/deduplication');
+
+describe('Deduplication Stores', () => {
+  describe('In Memory', () => {
+    it('should remember keys', (test, done) => {
+      const store = deduplicationStores.inMemory({ size: 2 });
+      async.series(
+        [
+          (cb) => store.has('one', cb),
+          (cb) => store.add('one', cb),
+          (cb) => store.has('one', cb),
+          (cb) => store.add('two', cb),
+          (cb) => store.add('three', cb),
+          (cb) => store.has('one', cb),
+        ],
+        (err, results) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(results, [false, undefined, true, undefined, undefined, false]);
+          done();
+        },
+      );
+    });
+  });
+
+  describe('File', () => {
+    let file;
+
+    beforeEach(() => {
+      file = path.join(os.tmpdir(), `${uuid()}.deduplication`);
+    });
+
+    afterEach(() => {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    });
+
+    it('should remember keys across instances', (test, done) => {
+      async.series(
+        [
+          (cb) => deduplicationStores.file({ file }).has('one', cb),
+          (cb) => deduplicationStores.file({ file }).add('one', cb),
+          (cb) => deduplicationStores.file({ file }).has('one', cb),
+          (cb) => deduplicationStores.file({ file }).has('two', cb),
+        ],
+        (err, results) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(results, [false, undefined, true, false]);
+          done();
+        },
+      );
+    });
+
+    it('should forget keys after the ttl', (test, done) => {
+      const store = deduplicationStores.file({ file, ttl: 100 });
+      async.series(
+        [
+          (cb) => store.add('one', cb),
+          (cb) => setTimeout(cb, 200),
+          (cb) => store.has('one', cb),
+        ],
+        (err, results) => {
+          assert.ifError(err);
+          assert.strictEqual(results[2], false);
+          done();
+        },
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const async = require('async');
+const uuid = require('uuid').v4;
+const fileCounter = require('../../lib/counters/file');
+
+describe('File Counter', () => {
+  let file;
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `${uuid()}.counter`);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('should return increment and get entries', (test, done) => {
+    const counter = fileCounter({ file });
+    const results = {};
+    async.eachSeries(
+      ['one', 'two', 'one'],
+      (key, cb) => {
+        counter.incrementAndGet(key, (err, value) => {
+          if (err) return cb(err);
+          results[key] = value;
+          cb();
+        });
+      },
+      (err) => {
+        assert.ifError(err);
+        assert.strictEqual(results.one, 2);
+        assert.strictEqual(results.two, 1);
+        done();
+      },
+    );
+  });
+
+  it('should persist counts across instances', (test, done) => {
+    async.series(
+      [
+        (cb) => fileCounter({ file }).incrementAndGet('one', cb),
+        (cb) => fileCounter({ file }).incrementAndGet('one', cb),
+        (cb) => fileCounter({ file }).incrementAndGet('one', cb),
+      ],
+      (err, results) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(results, [1, 2, 3]);
+        done();
+      },
+    );
+  });
+
+  it('should expire keys after the ttl', (test, done) => {
+    const counter = fileCounter({ file, ttl: 100 });
+    async.series(
+      [
+        (cb) => counter.incrementAndGet('one', cb),
+        (cb) => counter.incrementAndGet('one', cb),
+        (cb) => setTimeout(cb, 200),
+        (cb) => counter.incrementAndGet('one', cb),
+      ],
+      (err, results) => {
+        assert.ifError(err);
+        assert.strictEqual(results[1], 2);
+        assert.strictEqual(results[3], 1);
+        done();
+      },
+    );
+  });
+
+  it('should compact the file', (test, done) => {
+    const counter = fileCounter({ file, compactionThreshold: 5 });
+    async.timesSeries(
+      12,
+      (index, cb) => counter.incrementAndGet(`key-${index % 2}`, cb),
+      (err) => {
+        assert.ifError(err);
+        const records = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+        assert.ok(records.length < 12, `Expected fewer than 12 records but found ${records.length}`);
+        fileCounter({ file }).incrementAndGet('key-0', (err, value) => {
+          assert.ifError(err);
+          assert.strictEqual(value, 7);
+          done();
+        });
+      },
+    );
+  });
+
+  it('should ignore partially written records', (test, done) => {
+    fileCounter({ file }).incrementAndGet('one', (err) => {
+      assert.ifError(err);
+      fs.appendFileSync(file, '{"key":"one","val');
+      fileCounter({ file }).incrementAndGet('one', (err, value) => {
+        assert.ifError(err);
+        assert.strictEqual(value, 2);
+        done();
+      });
+    });
+  });
+});
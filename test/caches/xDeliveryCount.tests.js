@@ -0,0 +1,26 @@
+const assert = require('assert');
+const xDeliveryCount = require('../../lib/counters/xDeliveryCount');
+
+describe('x-delivery-count Counter', () => {
+  let counter;
+
+  beforeEach(() => {
+    counter = xDeliveryCount();
+  });
+
+  it('should count redeliveries using the x-delivery-count header', (test, done) => {
+    counter.countRedeliveries({ properties: { headers: { 'x-delivery-count': 3 } } }, (err, redeliveries) => {
+      assert.ifError(err);
+      assert.strictEqual(redeliveries, 3);
+      done();
+    });
+  });
+
+  it('should report zero redeliveries when the header is missing', (test, done) => {
+    counter.countRedeliveries({ properties: { headers: {} } }, (err, redeliveries) => {
+      assert.ifError(err);
+      assert.strictEqual(redeliveries, 0);
+      done();
+    });
+  });
+});
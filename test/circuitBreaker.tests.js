@@ -0,0 +1,128 @@
+const assert = require('assert');
+const EventEmitter = require('events').EventEmitter;
+const CircuitBreaker = require('../lib/amqp/CircuitBreaker');
+
+describe('Circuit Breaker', () => {
+  let session;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    session = new EventEmitter();
+    session.name = 's1';
+    session.isCancelled = () => false;
+    session.pause = (cb) => {
+      calls.push('pause');
+      cb();
+    };
+    session.resume = (cb) => {
+      calls.push('resume');
+      cb();
+    };
+    session.setChannelPrefetch = (prefetch, cb) => {
+      calls.push(`prefetch:${prefetch}`);
+      cb();
+    };
+  });
+
+  it('should open when the failure rate reaches the threshold', () => {
+    const events = [];
+    session.on('circuit_open', (err) => events.push(err.message));
+    const circuitBreaker = new CircuitBreaker({ circuitBreaker: { threshold: 0.5, window: 4 } }, session);
+
+    circuitBreaker.record();
+    circuitBreaker.record(new Error('one'));
+    circuitBreaker.record();
+    assert.deepStrictEqual(calls, []);
+
+    circuitBreaker.record(new Error('two'));
+    assert.deepStrictEqual(calls, ['pause']);
+    assert.deepStrictEqual(events, ['two']);
+    circuitBreaker.reset();
+  });
+
+  it('should not open while the failure rate is below the threshold', () => {
+    const circuitBreaker = new CircuitBreaker({ circuitBreaker: { threshold: 0.75, window: 4 } }, session);
+
+    for (let i = 0; i < 10; i++) {
+      circuitBreaker.record(i % 2 ? new Error('oh no') : undefined);
+    }
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it('should probe with a single message after the cooldown and close on success', (test, done) => {
+    const circuitBreaker = new CircuitBreaker({ channelPrefetch: 5, circuitBreaker: { window: 1, cooldown: 50 } }, session);
+
+    session.on('circuit_closed', () => {
+      assert.deepStrictEqual(calls, ['pause', 'prefetch:1', 'resume', 'prefetch:5']);
+      done();
+    });
+
+    circuitBreaker.record(new Error('oh no'));
+    setTimeout(() => {
+      assert.deepStrictEqual(calls, ['pause', 'prefetch:1', 'resume']);
+      circuitBreaker.record();
+    }, 100);
+  });
+
+  it('should restore an unset channel prefetch when closing', (test, done) => {
+    const config = { circuitBreaker: { window: 1, cooldown: 50 } };
+    session.setChannelPrefetch = (prefetch, cb) => {
+      calls.push(`prefetch:${prefetch}`);
+      config.channelPrefetch = prefetch;
+      cb();
+    };
+    const circuitBreaker = new CircuitBreaker(config, session);
+
+    session.on('circuit_closed', () => {
+      assert.deepStrictEqual(calls, ['pause', 'prefetch:1', 'resume', 'prefetch:undefined']);
+      assert.strictEqual(config.channelPrefetch, undefined);
+      done();
+    });
+
+    circuitBreaker.record(new Error('oh no'));
+    setTimeout(() => {
+      circuitBreaker.record();
+    }, 100);
+  });
+
+  it('should restore the original channel prefetch after a failed probe', (test, done) => {
+    const config = { channelPrefetch: 5, circuitBreaker: { window: 1, cooldown: 50 } };
+    session.setChannelPrefetch = (prefetch, cb) => {
+      calls.push(`prefetch:${prefetch}`);
+      config.channelPrefetch = prefetch;
+      cb();
+    };
+    const circuitBreaker = new CircuitBreaker(config, session);
+
+    session.on('circuit_closed', () => {
+      assert.deepStrictEqual(calls, ['pause', 'prefetch:1', 'resume', 'pause', 'prefetch:1', 'resume', 'prefetch:5']);
+      done();
+    });
+
+    circuitBreaker.record(new Error('oh no'));
+    setTimeout(() => {
+      circuitBreaker.record(new Error('still broken'));
+      setTimeout(() => {
+        circuitBreaker.record();
+      }, 100);
+    }, 100);
+  });
+
+  it('should reopen when the probe fails', (test, done) => {
+    const circuitBreaker = new CircuitBreaker({ circuitBreaker: { window: 1, cooldown: 50 } }, session);
+    let opened = 0;
+
+    session.on('circuit_open', () => opened++);
+    session.on('circuit_closed', () => assert.fail('Circuit should not have closed'));
+
+    circuitBreaker.record(new Error('oh no'));
+    setTimeout(() => {
+      circuitBreaker.record(new Error('still broken'));
+      assert.strictEqual(opened, 2);
+      assert.deepStrictEqual(calls, ['pause', 'prefetch:1', 'resume', 'pause']);
+      circuitBreaker.reset();
+      done();
+    }, 100);
+  });
+});
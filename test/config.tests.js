@@ -1788,6 +1788,71 @@ describe('Configuration', () => {
         },
       );
     });
+
+    it('should provision delay tiers for exchange publications', () => {
+      configure(
+        {
+          vhosts: {
+            v1: {
+              namespace: 'ns',
+              exchanges: ['e1'],
+              publications: {
+                p1: {
+                  exchange: 'e1',
+                  delays: {
+                    tiers: [1000],
+                  },
+                },
+              },
+            },
+          },
+        },
+        (err, config) => {
+          assert.ifError(err);
+          assert.strictEqual(config.vhosts.v1.exchanges['e1.delay.1000'].type, 'fanout');
+          assert.deepStrictEqual(config.vhosts.v1.queues['e1.delay.1000'].options.arguments, {
+            'x-message-ttl': 1000,
+            'x-dead-letter-exchange': 'ns:e1',
+          });
+          assert.strictEqual(config.vhosts.v1.bindings['e1.delay.1000'].source, 'e1.delay.1000');
+          assert.strictEqual(config.vhosts.v1.bindings['e1.delay.1000'].destination, 'e1.delay.1000');
+          assert.strictEqual(config.publications.p1.delays.mode, 'queues');
+          assert.deepStrictEqual(config.publications.p1.delays.destinations, { 1000: 'ns:e1.delay.1000' });
+          assert.ok(!config.subscriptions['v1/e1.delay.1000']);
+          assert.ok(!config.publications['v1/e1.delay.1000']);
+        },
+      );
+    });
+
+    it('should provision delay tiers for queue publications', () => {
+      configure(
+        {
+          vhosts: {
+            v1: {
+              namespace: 'ns',
+              queues: ['q1'],
+              publications: {
+                p1: {
+                  queue: 'q1',
+                  delays: {
+                    tiers: [1000],
+                  },
+                },
+              },
+            },
+          },
+        },
+        (err, config) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(config.vhosts.v1.queues['q1.delay.1000'].options.arguments, {
+            'x-message-ttl': 1000,
+            'x-dead-letter-exchange': '',
+            'x-dead-letter-routing-key': 'ns:q1',
+          });
+          assert.deepStrictEqual(config.publications.p1.delays.destinations, { 1000: 'ns:q1.delay.1000' });
+        },
+      );
+    });
   });
 
   describe('Subscriptions', () => {
@@ -1822,6 +1887,107 @@ describe('Configuration', () => {
       );
     });
 
+    it('should provision wait queues for delayed-republish recovery policies', () => {
+      configure(
+        {
+          vhosts: {
+            v1: {
+              namespace: 'ns',
+              queues: {
+                q1: {},
+              },
+              publications: {
+                p1: {
+                  queue: 'q1',
+                  delays: {
+                    tiers: [1000],
+                  },
+                },
+              },
+              subscriptions: {
+                s1: {
+                  queue: 'q1',
+                  recovery: [{ strategy: 'delayed-republish', backoff: { min: 1000, max: 5000 } }, { strategy: 'nack' }],
+                },
+              },
+              defaults: {
+                queues: {
+                  options: {
+                    arguments: {
+                      'x-queue-type': 'quorum',
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        (err, config) => {
+          assert.ifError(err);
+          const waitQueues = _.pickBy(config.vhosts.v1.queues, (queue, name) => name.startsWith('q1.delay.'));
+          assert.deepStrictEqual(_.keys(waitQueues).sort(), ['q1.delay.1000', 'q1.delay.2000', 'q1.delay.4000', 'q1.delay.5000']);
+          assert.deepStrictEqual(waitQueues['q1.delay.2000'].options.arguments, {
+            'x-message-ttl': 2000,
+            'x-dead-letter-exchange': '',
+            'x-dead-letter-routing-key': 'ns:q1',
+            'x-queue-type': 'quorum',
+          });
+          assert.strictEqual(waitQueues['q1.delay.2000'].fullyQualifiedName, 'ns:q1.delay.2000');
+          assert.ok(!config.subscriptions['v1/q1.delay.2000']);
+        },
+      );
+    });
+
+    it('should not provision wait queues for auto created subscriptions', () => {
+      configure(
+        {
+          vhosts: {
+            v1: {
+              queues: ['q1', 'dlq', 'audit'],
+              subscriptions: {
+                s1: {
+                  queue: 'q1',
+                },
+              },
+            },
+          },
+          defaults: {
+            subscriptions: {
+              recovery: [{ strategy: 'delayed-republish', backoff: { min: 1000, max: 4000 } }, { strategy: 'nack' }],
+            },
+          },
+        },
+        (err, config) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(_.keys(config.vhosts.v1.queues).sort(), ['audit', 'dlq', 'q1', 'q1.delay.1000', 'q1.delay.2000', 'q1.delay.4000']);
+        },
+      );
+    });
+
+    it('should not provision wait queues for randomised delayed-republish recovery policies', () => {
+      configure(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+              subscriptions: {
+                s1: {
+                  queue: 'q1',
+                  recovery: { strategy: 'delayed-republish', backoff: { strategy: 'linear', min: 1000, max: 5000 } },
+                },
+              },
+            },
+          },
+        },
+        (err, config) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(_.keys(config.vhosts.v1.queues), ['q1']);
+        },
+      );
+    });
+
     it('should inflate subscriptions with empty structure', () => {
       configure(
         {
@@ -2047,6 +2213,40 @@ describe('Configuration', () => {
         },
       );
     });
+
+    it('should replace rather than merge default recovery policies', () => {
+      configure(
+        {
+          defaults: {
+            subscriptions: {
+              recovery: [{ strategy: 'republish', attempts: 5 }, { strategy: 'nack' }],
+              redeliveriesExceeded: [{ strategy: 'republish', immediateNack: true }],
+            },
+          },
+          vhosts: {
+            v1: {
+              queues: ['q1', 'q2'],
+              subscriptions: {
+                s1: {
+                  queue: 'q1',
+                },
+                s2: {
+                  queue: 'q2',
+                  recovery: [{ strategy: 'ack' }],
+                },
+              },
+            },
+          },
+        },
+        (err, config) => {
+          assert.ifError(err);
+          assert.deepStrictEqual(config.subscriptions.s1.recovery, [{ strategy: 'republish', attempts: 5 }, { strategy: 'nack' }]);
+          assert.deepStrictEqual(config.subscriptions.s1.redeliveriesExceeded, [{ strategy: 'republish', immediateNack: true }]);
+          assert.deepStrictEqual(config.subscriptions.s2.recovery, [{ strategy: 'ack' }]);
+          assert.deepStrictEqual(config.subscriptions.s2.redeliveriesExceeded, [{ strategy: 'republish', immediateNack: true }]);
+        },
+      );
+    });
   });
 
   describe('Shovels', () => {
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const messageMatcher = require('../lib/utils/messageMatcher');
+
+describe('Message Matcher', () => {
+  it('should match routing keys exactly', () => {
+    const matches = messageMatcher('a.b');
+    assert.ok(matches(createMessage('a.b')));
+    assert.ok(!matches(createMessage('a.c')));
+    assert.ok(!matches(createMessage('a.b.c')));
+  });
+
+  it('should match a single word with a star', () => {
+    const matches = messageMatcher('a.*.c');
+    assert.ok(matches(createMessage('a.b.c')));
+    assert.ok(!matches(createMessage('a.c')));
+    assert.ok(!matches(createMessage('a.b.b.c')));
+  });
+
+  it('should match zero or more words with a hash', () => {
+    const matches = messageMatcher('a.#.c');
+    assert.ok(matches(createMessage('a.c')));
+    assert.ok(matches(createMessage('a.b.c')));
+    assert.ok(matches(createMessage('a.b.b.c')));
+    assert.ok(!matches(createMessage('a.b')));
+    assert.ok(messageMatcher('#')(createMessage('')));
+    assert.ok(messageMatcher('#.c')(createMessage('c')));
+    assert.ok(messageMatcher('a.#')(createMessage('a')));
+  });
+
+  it('should match message types', () => {
+    const matches = messageMatcher({ type: 'order.created' });
+    assert.ok(matches(createMessage('a', { type: 'order.created' })));
+    assert.ok(!matches(createMessage('a', { type: 'order.deleted' })));
+  });
+
+  it('should match properties', () => {
+    const matches = messageMatcher({ properties: { contentType: 'application/json', priority: 1 } });
+    assert.ok(matches(createMessage('a', { contentType: 'application/json', priority: 1 })));
+    assert.ok(!matches(createMessage('a', { contentType: 'application/json' })));
+  });
+
+  it('should match headers', () => {
+    const matches = messageMatcher({ routingKey: 'a.*', headers: { version: 2 } });
+    assert.ok(matches(createMessage('a.b', { headers: { version: 2 } })));
+    assert.ok(!matches(createMessage('a.b', { headers: { version: 1 } })));
+    assert.ok(!matches(createMessage('a.b', { headers: {} })));
+    assert.ok(!matches(createMessage('b.b', { headers: { version: 2 } })));
+  });
+
+  function createMessage(routingKey, properties = {}) {
+    return { fields: { routingKey }, properties: { headers: {}, ...properties } };
+  }
+});
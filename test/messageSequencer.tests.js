@@ -0,0 +1,70 @@
+const assert = require('assert');
+const MessageSequencer = require('../lib/amqp/MessageSequencer');
+
+describe('Message Sequencer', () => {
+  let sequencer;
+
+  beforeEach(() => {
+    sequencer = new MessageSequencer();
+  });
+
+  it('should defer messages until previous messages with the same key are released', (test, done) => {
+    const started = [];
+    const releases = {};
+    ['a1', 'b1', 'a2', 'a3'].forEach((id) => {
+      sequencer.run(id[0], createMessage(id), (release) => {
+        started.push(id);
+        releases[id] = release;
+      });
+    });
+
+    assert.deepStrictEqual(started, ['a1', 'b1']);
+    releases.a1();
+    setImmediate(() => {
+      assert.deepStrictEqual(started, ['a1', 'b1', 'a2']);
+      releases.a2();
+      releases.a2();
+      setImmediate(() => {
+        assert.deepStrictEqual(started, ['a1', 'b1', 'a2', 'a3']);
+        done();
+      });
+    });
+  });
+
+  it('should run messages immediately once all previous messages with the same key have been released', (test, done) => {
+    const started = [];
+    sequencer.run('a', createMessage('a1'), (release) => {
+      started.push('a1');
+      release();
+    });
+    setImmediate(() => {
+      sequencer.run('a', createMessage('a2'), () => {
+        started.push('a2');
+      });
+      assert.deepStrictEqual(started, ['a1', 'a2']);
+      done();
+    });
+  });
+
+  it('should discard deferred messages from closed consumers', (test, done) => {
+    const started = [];
+    let releaseFirst;
+    sequencer.run('a', createMessage('a1', 'c1'), (release) => {
+      started.push('a1');
+      releaseFirst = release;
+    });
+    sequencer.run('a', createMessage('a2', 'c1'), () => started.push('a2'));
+    sequencer.run('a', createMessage('a3', 'c2'), () => started.push('a3'));
+
+    sequencer.discard('c1');
+    releaseFirst();
+    setImmediate(() => {
+      assert.deepStrictEqual(started, ['a1', 'a3']);
+      done();
+    });
+  });
+
+  function createMessage(messageId, consumerTag = 'c1') {
+    return { fields: { consumerTag }, properties: { messageId } };
+  }
+});
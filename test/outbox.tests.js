@@ -0,0 +1,91 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const async = require('async');
+const uuid = require('uuid').v4;
+const Outbox = require('../lib/amqp/Outbox');
+
+describe('Outbox', () => {
+  let file;
+  let outbox;
+
+  beforeEach((test, done) => {
+    file = path.join(os.tmpdir(), `${uuid()}.outbox`);
+    outbox = new Outbox(file);
+    outbox.load(done);
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  it('should journal pending messages', (test, done) => {
+    async.series(
+      [
+        (cb) => outbox.add('m1', Buffer.from('one'), { routingKey: 'rk1', options: { messageId: 'm1' } }, cb),
+        (cb) => outbox.add('m2', Buffer.from('two'), { routingKey: 'rk2', options: { messageId: 'm2' } }, cb),
+        (cb) => outbox.remove('m1', cb),
+      ],
+      (err) => {
+        assert.ifError(err);
+        const reloaded = new Outbox(file);
+        reloaded.load((err) => {
+          assert.ifError(err);
+          const pending = reloaded.pending();
+          assert.strictEqual(pending.length, 1);
+          assert.strictEqual(pending[0].messageId, 'm2');
+          assert.strictEqual(pending[0].content.toString(), 'two');
+          assert.strictEqual(pending[0].routingKey, 'rk2');
+          assert.deepStrictEqual(pending[0].options, { messageId: 'm2' });
+          done();
+        });
+      },
+    );
+  });
+
+  it('should truncate the journal when there are no pending messages', (test, done) => {
+    async.series(
+      [
+        (cb) => outbox.add('m1', Buffer.from('one'), { options: {} }, cb),
+        (cb) => outbox.remove('m1', cb),
+      ],
+      (err) => {
+        assert.ifError(err);
+        assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+        done();
+      },
+    );
+  });
+
+  it('should compact the journal on load', (test, done) => {
+    async.series(
+      [
+        (cb) => outbox.add('m1', Buffer.from('one'), { options: {} }, cb),
+        (cb) => outbox.add('m2', Buffer.from('two'), { options: {} }, cb),
+        (cb) => outbox.remove('m1', cb),
+        (cb) => new Outbox(file).load(cb),
+      ],
+      (err) => {
+        assert.ifError(err);
+        const records = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+        assert.strictEqual(records.length, 1);
+        assert.strictEqual(records[0].key, 'm2');
+        done();
+      },
+    );
+  });
+
+  it('should ignore partially written records', (test, done) => {
+    outbox.add('m1', Buffer.from('one'), { options: {} }, (err) => {
+      assert.ifError(err);
+      fs.appendFileSync(file, '{"op":"add","messa');
+      const reloaded = new Outbox(file);
+      reloaded.load((err) => {
+        assert.ifError(err);
+        assert.strictEqual(reloaded.pending().length, 1);
+        done();
+      });
+    });
+  });
+});
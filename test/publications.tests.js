@@ -3,6 +3,10 @@ const _ = require('lodash');
 const async = require('async');
 const amqplib = require('amqplib/callback_api');
 const format = require('util').format;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
 const uuid = require('uuid').v4;
 const testConfig = require('../lib/config/tests');
 const Broker = require('..').Broker;
@@ -375,6 +379,81 @@ describe('Publications', () => {
     );
   });
 
+  it('should encode messages using the codec registered for the content type', (test, done) => {
+    const codecs = {
+      'text/csv': {
+        encode: (rows) => rows.map((row) => row.join(',')).join('\n'),
+        decode: (buffer) => buffer.toString().split('\n').map((line) => line.split(',')),
+      },
+    };
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+          },
+        },
+      },
+      { codecs },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish(
+          'p1',
+          [
+            ['a', 'b'],
+            ['c', 'd'],
+          ],
+          {
+            options: { contentType: 'text/csv' },
+          },
+          (err, publication) => {
+            assert.ifError(err);
+            publication.on('success', () => {
+              amqputils.getMessage('q1', namespace, (err, message) => {
+                assert.ifError(err);
+                assert.ok(message, 'Message was not present');
+                assert.strictEqual(message.properties.contentType, 'text/csv');
+                assert.strictEqual(message.content.toString(), 'a,b\nc,d');
+                done();
+              });
+            });
+          },
+        );
+      },
+    );
+  });
+
+  it('should report codec encoding errors', (test, done) => {
+    const codecs = {
+      'application/json': {
+        encode: () => {
+          throw new Error('Oh Noes!');
+        },
+        decode: (buffer) => JSON.parse(buffer.toString()),
+      },
+    };
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+          },
+        },
+      },
+      { codecs },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', { message: 'test message' }, (err) => {
+          assert.ok(err);
+          assert.strictEqual(err.message, 'Oh Noes!');
+          done();
+        });
+      },
+    );
+  });
+
   it('should publish buffer messages to normal exchanges', (test, done) => {
     createBroker(
       {
@@ -747,6 +826,72 @@ describe('Publications', () => {
     );
   });
 
+  it('should compress messages', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            queue: 'q1',
+            compression: 'gzip',
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err, publication) => {
+          assert.ifError(err);
+          publication.on('success', () => {
+            amqputils.getMessage('q1', namespace, (err, message) => {
+              assert.ifError(err);
+              assert.ok(message, 'Message was not present');
+              assert.strictEqual(message.properties.contentEncoding, 'gzip');
+              assert.strictEqual(message.properties.contentType, 'text/plain');
+              assert.strictEqual(zlib.gunzipSync(message.content).toString(), 'test message');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should compress messages before encrypting them', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            queue: 'q1',
+            compression: 'brotli',
+            encryption: {
+              name: 'well-known',
+              key: 'f81db52a3b2c717fe65d9a3b7dd04d2a08793e1a28e3083db3ea08db56e7c315',
+              ivLength: 16,
+              algorithm: 'aes-256-cbc',
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err, publication) => {
+          assert.ifError(err);
+          publication.on('success', () => {
+            amqputils.getMessage('q1', namespace, (err, message) => {
+              assert.ifError(err);
+              assert.ok(message, 'Message was not present');
+              assert.strictEqual(message.properties.contentEncoding, 'br');
+              assert.strictEqual(message.properties.contentType, 'application/octet-stream');
+              assert.strictEqual(message.properties.headers.rascal.encryption.originalContentType, 'text/plain');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
   it('should capture publication stats for normal channels', (test, done) => {
     createBroker(
       {
@@ -872,6 +1017,260 @@ describe('Publications', () => {
     );
   });
 
+  it('should publish batches of messages using confirm channels', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+            confirm: true,
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publishBatch('p1', ['m1', 'm2', 'm3'], (err, results) => {
+          assert.ifError(err);
+          assert.strictEqual(results.length, 3);
+          assert.strictEqual(_.uniq(_.map(results, 'messageId')).length, 3);
+          results.forEach((result) => assert.strictEqual(result.err, null));
+          async.eachSeries(['m1', 'm2', 'm3'], (expected, cb) => amqputils.assertMessage('q1', namespace, expected, cb), done);
+        });
+      },
+    );
+  });
+
+  it('should report returned messages when publishing batches', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'xx',
+            confirm: true,
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publishBatch('p1', ['m1', 'm2'], (err, results) => {
+          assert.ifError(err);
+          assert.strictEqual(results.length, 2);
+          results.forEach(({ messageId, err }) => {
+            assert.ok(err);
+            assert.strictEqual(err.message, `Message: ${messageId} published to: p1 was returned`);
+          });
+          done();
+        });
+      },
+    );
+  });
+
+  it('should publish batches of large messages to queues using confirm channels', (test, done) => {
+    Object.assign(vhosts['/'], {
+      publicationChannelPools: {
+        confirmPool: {
+          min: 1,
+          max: 1,
+        },
+      },
+    });
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            queue: 'q1',
+            confirm: true,
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        const msg = Buffer.alloc(20000000);
+        broker.publishBatch('p1', [msg, msg], (err, results) => {
+          assert.ifError(err);
+          assert.strictEqual(results.length, 2);
+          results.forEach((result) => assert.strictEqual(result.err, null));
+          done();
+        });
+      },
+    );
+  });
+
+  it('should refuse to publish batches without confirms', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+            confirm: false,
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publishBatch('p1', ['m1'], (err) => {
+          assert.ok(err);
+          assert.strictEqual(err.message, 'Publication: p1 cannot publish batches without confirms');
+          done();
+        });
+      },
+    );
+  });
+
+  it('should remove messages from the outbox once confirmed', (test, done) => {
+    const file = path.join(os.tmpdir(), `${uuid()}.outbox`);
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+            confirm: true,
+            outbox: {
+              file,
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err, publication) => {
+          assert.ifError(err);
+          publication.on('success', () => {
+            amqputils.assertMessage('q1', namespace, 'test message', () => {
+              assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+              fs.unlinkSync(file);
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should retain returned messages in the outbox', (test, done) => {
+    const file = path.join(os.tmpdir(), `${uuid()}.outbox`);
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'xx',
+            confirm: true,
+            outbox: {
+              file,
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publishBatch('p1', ['m1'], (err, results) => {
+          assert.ifError(err);
+          assert.ok(results[0].err);
+          setTimeout(() => {
+            assert.ok(fs.readFileSync(file, 'utf8').includes(results[0].messageId));
+            fs.unlinkSync(file);
+            done();
+          }, 100);
+        });
+      },
+    );
+  });
+
+  it('should replay messages from the outbox on startup', (test, done) => {
+    const file = path.join(os.tmpdir(), `${uuid()}.outbox`);
+    const record = {
+      op: 'add',
+      messageId: uuid(),
+      content: Buffer.from('test message').toString('base64'),
+      options: { contentType: 'text/plain' },
+    };
+    fs.writeFileSync(file, `${JSON.stringify(record)}\n`);
+
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+            confirm: true,
+            outbox: {
+              file,
+            },
+          },
+        },
+      },
+      (err) => {
+        assert.ifError(err);
+        setTimeout(() => {
+          amqputils.assertMessage('q1', namespace, 'test message', () => {
+            assert.strictEqual(fs.readFileSync(file, 'utf8'), '');
+            fs.unlinkSync(file);
+            done();
+          });
+        }, 500);
+      },
+    );
+  });
+
+  it('should delay messages using wait queues', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+            delays: {
+              tiers: [500],
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', { delay: 500 }, (err, publication) => {
+          assert.ifError(err);
+          publication.on('success', () => {
+            amqputils.assertMessageAbsent('q1', namespace, () => {
+              setTimeout(() => {
+                amqputils.assertMessage('q1', namespace, 'test message', done);
+              }, 1000);
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should report delays without a matching tier', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            exchange: 'e1',
+            delays: {
+              tiers: [500],
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', { delay: 1000 }, (err) => {
+          assert.ok(err);
+          assert.strictEqual(err.message, 'Publication: p1 has no delay tier of 1000ms');
+          done();
+        });
+      },
+    );
+  });
+
   it('should set the replyTo property', (test, done) => {
     const replyTo = uuid();
     Object.assign(vhosts['/'].queues, {
@@ -906,9 +1305,10 @@ describe('Publications', () => {
     );
   });
 
-  function createBroker(config, next) {
+  function createBroker(config, components, next) {
+    if (arguments.length === 2) return createBroker(config, {}, arguments[1]);
     config = _.defaultsDeep(config, testConfig);
-    Broker.create(config, (err, _broker) => {
+    Broker.create(config, components, (err, _broker) => {
       broker = _broker;
       next(err, broker);
     });
@@ -0,0 +1,155 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const async = require('async');
+const uuid = require('uuid').v4;
+const Quarantine = require('../lib/amqp/Quarantine');
+
+describe('Quarantine', () => {
+  let file;
+  let quarantine;
+  let published;
+  let vhosts;
+
+  beforeEach(() => {
+    file = path.join(os.tmpdir(), `${uuid()}.quarantine`);
+    quarantine = new Quarantine({ file });
+    published = [];
+
+    const channel = {
+      on: () => {},
+      publish: (exchange, queue, content, options, cb) => {
+        published.push({ queue, content: content.toString(), options });
+        cb(options.messageId === 'fail' ? new Error('nacked') : undefined);
+      },
+      close: (cb) => cb(),
+      removeAllListeners: () => {},
+    };
+    vhosts = {
+      v1: {
+        getConfirmChannel: (cb) => cb(null, channel),
+      },
+    };
+  });
+
+  afterEach(() => {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  });
+
+  function getMessage(messageId, content, type) {
+    return {
+      fields: { exchange: 'e1', routingKey: 'foo' },
+      properties: {
+        messageId,
+        type,
+        headers: {
+          rascal: { originalQueue: 'q1', originalVhost: 'v1' },
+        },
+      },
+      content: Buffer.from(content),
+    };
+  }
+
+  it('should list quarantined messages', (test, done) => {
+    async.series(
+      [
+        (cb) => quarantine.add(getMessage('m1', 'one'), Object.assign(new Error('oh no'), { code: 'red' }), cb),
+        (cb) => quarantine.add(getMessage('m2', 'two'), new Error('oh no'), cb),
+        (cb) => new Quarantine({ file }).list(cb),
+      ],
+      (err, results) => {
+        assert.ifError(err);
+        const entries = results[2];
+        assert.strictEqual(entries.length, 2);
+        assert.ok(entries[0].id);
+        assert.ok(Date.parse(entries[0].timestamp));
+        assert.strictEqual(entries[0].vhost, 'v1');
+        assert.strictEqual(entries[0].queue, 'q1');
+        assert.deepStrictEqual(entries[0].fields, { exchange: 'e1', routingKey: 'foo' });
+        assert.strictEqual(entries[0].properties.messageId, 'm1');
+        assert.strictEqual(Buffer.from(entries[0].content, 'base64').toString(), 'one');
+        assert.deepStrictEqual(entries[0].error, { code: 'red', message: 'oh no' });
+        assert.strictEqual(entries[1].properties.messageId, 'm2');
+        done();
+      },
+    );
+  });
+
+  it('should list nothing when no messages have been quarantined', (test, done) => {
+    quarantine.list((err, entries) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(entries, []);
+      done();
+    });
+  });
+
+  it('should ignore partially written entries', (test, done) => {
+    quarantine.add(getMessage('m1', 'one'), new Error('oh no'), (err) => {
+      assert.ifError(err);
+      fs.appendFileSync(file, '{"id":"m2","time');
+      quarantine.list((err, entries) => {
+        assert.ifError(err);
+        assert.strictEqual(entries.length, 1);
+        done();
+      });
+    });
+  });
+
+  it('should republish quarantined messages to their original queue', (test, done) => {
+    async.series(
+      [
+        (cb) => quarantine.add(getMessage('m1', 'one'), new Error('oh no'), cb),
+        (cb) => quarantine.add(getMessage('fail', 'two'), new Error('oh no'), cb),
+        (cb) => quarantine.republish(vhosts, {}, cb),
+        (cb) => quarantine.list(cb),
+      ],
+      (err, results) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(results[2], { republished: 1, failed: 1 });
+        assert.strictEqual(published[0].queue, 'q1');
+        assert.strictEqual(published[0].content, 'one');
+        assert.strictEqual(published[0].options.headers.rascal.originalRoutingKey, 'foo');
+        assert.strictEqual(published[0].options.headers.rascal.restoreRoutingHeaders, true);
+        assert.deepStrictEqual(
+          results[3].map((entry) => entry.properties.messageId),
+          ['fail'],
+        );
+        done();
+      },
+    );
+  });
+
+  it('should republish matching quarantined messages', (test, done) => {
+    async.series(
+      [
+        (cb) => quarantine.add(getMessage('m1', 'one', 'order.created'), new Error('oh no'), cb),
+        (cb) => quarantine.add(getMessage('m2', 'two', 'order.deleted'), new Error('oh no'), cb),
+        (cb) => quarantine.republish(vhosts, { filter: { type: 'order.deleted' } }, cb),
+        (cb) => quarantine.list(cb),
+      ],
+      (err, results) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(results[2], { republished: 1, failed: 0 });
+        assert.strictEqual(published[0].content, 'two');
+        assert.deepStrictEqual(
+          results[3].map((entry) => entry.properties.messageId),
+          ['m1'],
+        );
+        done();
+      },
+    );
+  });
+
+  it('should not republish quarantined messages from unknown vhosts', (test, done) => {
+    async.series(
+      [(cb) => quarantine.add(getMessage('m1', 'one'), new Error('oh no'), cb), (cb) => quarantine.republish({}, {}, cb), (cb) => quarantine.list(cb)],
+      (err, results) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(results[1], { republished: 0, failed: 1 });
+        assert.strictEqual(results[2].length, 1);
+        done();
+      },
+    );
+  });
+});
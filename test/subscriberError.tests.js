@@ -0,0 +1,352 @@
+const assert = require('assert');
+const _ = require('lodash');
+const async = require('async');
+const SubscriberError = require('../lib/amqp/SubscriberError');
+
+describe('Subscriber Error', () => {
+  let attempted;
+  let subscriberError;
+  let session;
+  const message = { properties: { messageId: 'm1' } };
+
+  beforeEach(() => {
+    attempted = [];
+    session = {
+      _nack: (message, ...args) => {
+        attempted.push('nack');
+        args.pop()();
+      },
+    };
+    subscriberError = new SubscriberError({}, {}, {
+      record: {
+        execute(session, message, err, strategyConfig, next) {
+          attempted.push(strategyConfig.id);
+          next(null, strategyConfig.handled);
+        },
+      },
+    });
+  });
+
+  it('should attempt strategies without a when clause', (test, done) => {
+    subscriberError.handle(session, message, new Error('oh no'), [{ strategy: 'record', id: 'a' }, { strategy: 'record', id: 'b', handled: true }], (err) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(attempted, ['a', 'b']);
+      done();
+    });
+  });
+
+  it('should skip strategies when the error code does not match', (test, done) => {
+    const err = Object.assign(new Error('oh no'), { code: 'ECONNRESET' });
+    const recovery = [
+      { strategy: 'record', id: 'a', when: { code: 'EVALIDATION' } },
+      {
+        strategy: 'record', id: 'b', when: { code: ['ETIMEDOUT', 'ECONNRESET'] }, handled: true,
+      },
+    ];
+    subscriberError.handle(session, message, err, recovery, (err) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(attempted, ['b']);
+      done();
+    });
+  });
+
+  it('should match on error name and message', (test, done) => {
+    const err = new TypeError('Invalid order: 123');
+    const recovery = [
+      { strategy: 'record', id: 'a', when: { name: 'RangeError' } },
+      { strategy: 'record', id: 'b', when: { name: 'TypeError', message: /^Valid/ } },
+      {
+        strategy: 'record', id: 'c', when: { name: 'TypeError', message: '^Invalid order' }, handled: true,
+      },
+    ];
+    subscriberError.handle(session, message, err, recovery, (err) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(attempted, ['c']);
+      done();
+    });
+  });
+
+  it('should match using a predicate', (test, done) => {
+    const recovery = [
+      { strategy: 'record', id: 'a', when: (err, message) => message.properties.messageId === 'm2' },
+      {
+        strategy: 'record', id: 'b', when: (err) => err.transient, handled: true,
+      },
+    ];
+    subscriberError.handle(session, message, Object.assign(new Error('oh no'), { transient: true }), recovery, (err) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(attempted, ['b']);
+      done();
+    });
+  });
+
+  it('should fall back to nacking when no strategies apply', (test, done) => {
+    subscriberError.handle(session, message, new Error('oh no'), { strategy: 'record', id: 'a', when: { code: 'EVALIDATION' } }, (err) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(attempted, ['nack']);
+      done();
+    });
+  });
+
+  it('should nack messages when custom strategies fail', (test, done) => {
+    subscriberError = new SubscriberError({}, {}, {
+      audit: {
+        execute(session, message, err, strategyConfig, next) {
+          attempted.push('audit');
+          next(new Error('audit log unavailable'));
+        },
+      },
+    });
+    subscriberError.handle(session, message, new Error('oh no'), [{ strategy: 'audit' }, { strategy: 'nack' }], (err) => {
+      assert.ok(err);
+      assert.strictEqual(err.message, 'audit log unavailable');
+      assert.deepStrictEqual(attempted, ['audit', 'nack']);
+      done();
+    });
+  });
+
+  it('should not pass the when clause to strategies', (test, done) => {
+    subscriberError = new SubscriberError({}, {}, {
+      record: {
+        execute(session, message, err, strategyConfig, next) {
+          assert.deepStrictEqual(strategyConfig, { strategy: 'record' });
+          next(null, true);
+        },
+      },
+    });
+    subscriberError.handle(session, message, new Error('oh no'), { strategy: 'record', when: { name: 'Error' } }, done);
+  });
+
+  it('should quarantine messages', (test, done) => {
+    const quarantined = [];
+    const broker = {
+      _quarantine: (message, err, cb) => {
+        quarantined.push(err.message);
+        cb();
+      },
+    };
+    session._ack = (message, cb) => {
+      attempted.push('ack');
+      cb();
+    };
+    subscriberError = new SubscriberError(broker, {});
+    subscriberError.handle(session, message, new Error('oh no'), { strategy: 'quarantine' }, (err) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(quarantined, ['oh no']);
+      assert.deepStrictEqual(attempted, ['ack']);
+      done();
+    });
+  });
+
+  it('should nack messages which cannot be quarantined', (test, done) => {
+    const broker = {
+      _quarantine: (message, err, cb) => cb(new Error('Quarantine is not configured')),
+    };
+    subscriberError = new SubscriberError(broker, {});
+    subscriberError.handle(session, message, new Error('oh no'), { strategy: 'quarantine' }, (err) => {
+      assert.ok(err);
+      assert.strictEqual(err.message, 'Quarantine is not configured');
+      assert.deepStrictEqual(attempted, ['nack']);
+      done();
+    });
+  });
+
+  describe('Delayed Republish', () => {
+    let asserted;
+    let published;
+    let broker;
+    let vhost;
+    const waitQueue = { fullyQualifiedName: 'ns:q1.delay.1000', options: { arguments: { 'x-message-ttl': 1000, 'x-dead-letter-exchange': '', 'x-dead-letter-routing-key': 'ns:q1' } } };
+
+    beforeEach(() => {
+      asserted = [];
+      published = [];
+      const channel = {
+        on: () => {},
+        assertQueue: (queue, options, cb) => {
+          asserted.push({ queue, options });
+          cb();
+        },
+        publish: (exchange, queue, content, options, cb) => {
+          published.push(queue);
+          cb();
+        },
+        close: () => {},
+        removeAllListeners: () => {},
+      };
+      vhost = {
+        name: 'v1',
+        getConfirmChannel: (cb) => cb(null, channel),
+      };
+      broker = {
+        config: {
+          vhosts: {
+            v1: {
+              queues: { 'q1.delay.1000': waitQueue },
+              defaults: { queues: { options: { durable: true, arguments: { 'x-queue-type': 'quorum' } } } },
+            },
+          },
+        },
+      };
+      session._ack = (message, cb) => cb();
+    });
+
+    function getMessage() {
+      return {
+        fields: { exchange: 'e1', routingKey: 'foo' },
+        properties: { messageId: 'm1', headers: { rascal: { originalQueue: 'ns:q1' } } },
+      };
+    }
+
+    it('should not assert declared wait queues', (test, done) => {
+      subscriberError = new SubscriberError(broker, vhost);
+      subscriberError.handle(session, getMessage(), new Error('oh no'), { strategy: 'delayed-republish', backoff: { delay: 1000 } }, (err) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(asserted, []);
+        assert.deepStrictEqual(published, ['ns:q1.delay.1000']);
+        done();
+      });
+    });
+
+    it('should nack messages delayed using a randomised backoff', (test, done) => {
+      const recovery = { strategy: 'delayed-republish', backoff: { strategy: 'linear', min: 1000, max: 5000 } };
+      subscriberError = new SubscriberError(broker, vhost);
+      subscriberError.handle(session, getMessage(), new Error('oh no'), recovery, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, 'Unable to delay message: m1 using a randomised linear backoff');
+        assert.deepStrictEqual(attempted, ['nack']);
+        assert.deepStrictEqual(published, []);
+        done();
+      });
+    });
+
+    it('should assert undeclared wait queues once using the vhost queue defaults', (test, done) => {
+      const recovery = { strategy: 'delayed-republish', backoff: { delay: 2000 } };
+      subscriberError = new SubscriberError(broker, vhost);
+      async.series([(cb) => subscriberError.handle(session, getMessage(), new Error('oh no'), recovery, cb), (cb) => subscriberError.handle(session, getMessage(), new Error('oh no'), recovery, cb)], (err) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(asserted, [
+          {
+            queue: 'ns:q1.delay.2000',
+            options: {
+              durable: true,
+              arguments: {
+                'x-message-ttl': 2000,
+                'x-dead-letter-exchange': '',
+                'x-dead-letter-routing-key': 'ns:q1',
+                'x-queue-type': 'quorum',
+              },
+            },
+          },
+        ]);
+        assert.deepStrictEqual(published, ['ns:q1.delay.2000', 'ns:q1.delay.2000']);
+        done();
+      });
+    });
+  });
+
+  describe('History', () => {
+    let published;
+    let vhost;
+
+    beforeEach(() => {
+      published = [];
+      const channel = {
+        on: () => {},
+        assertQueue: (queue, options, cb) => cb(),
+        publish: (exchange, queue, content, options, cb) => {
+          published.push(options);
+          cb();
+        },
+        close: () => {},
+        removeAllListeners: () => {},
+      };
+      vhost = {
+        getConfirmChannel: (cb) => cb(null, channel),
+      };
+      session._ack = (message, cb) => cb();
+    });
+
+    function getMessage(history) {
+      return {
+        fields: { exchange: 'e1', routingKey: 'foo' },
+        properties: {
+          messageId: 'm1',
+          headers: {
+            rascal: { originalQueue: 'q1', history },
+          },
+        },
+      };
+    }
+
+    it('should record the failure history of republished messages', (test, done) => {
+      const err = Object.assign(new Error('oh no'), { code: 'red' });
+      subscriberError = new SubscriberError({}, vhost);
+      subscriberError.handle(session, getMessage(), err, { strategy: 'republish' }, (err) => {
+        assert.ifError(err);
+        const history = published[0].headers.rascal.history;
+        assert.strictEqual(history.length, 1);
+        assert.ok(Date.parse(history[0].timestamp));
+        assert.deepStrictEqual(_.omit(history[0], 'timestamp'), {
+          queue: 'q1',
+          strategy: 'republish',
+          attempt: 1,
+          error: { code: 'red', message: 'oh no' },
+        });
+        done();
+      });
+    });
+
+    it('should append to the existing history', (test, done) => {
+      const previous = [{ strategy: 'republish', attempt: 1 }];
+      subscriberError = new SubscriberError({}, vhost);
+      subscriberError.handle(session, getMessage(previous), new Error('oh no'), { strategy: 'delayed-republish' }, (err) => {
+        assert.ifError(err);
+        const history = published[0].headers.rascal.history;
+        assert.deepStrictEqual(_.map(history, 'strategy'), ['republish', 'delayed-republish']);
+        done();
+      });
+    });
+
+    it('should cap the history', (test, done) => {
+      const previous = _.times(3, (index) => ({ strategy: 'republish', attempt: index + 1 }));
+      session.config = { history: { limit: 3 } };
+      subscriberError = new SubscriberError({}, vhost);
+      subscriberError.handle(session, getMessage(previous), new Error('oh no'), { strategy: 'republish' }, (err) => {
+        assert.ifError(err);
+        const history = published[0].headers.rascal.history;
+        assert.deepStrictEqual(_.map(history, 'attempt'), [2, 3, 1]);
+        done();
+      });
+    });
+
+    it('should replace rather than merge the history of forwarded messages', (test, done) => {
+      const previous = _.times(3, (index) => ({ strategy: 'forward', attempt: index + 1 }));
+      const message = getMessage(previous);
+      const broker = {
+        forward: (name, forwardedMessage, overrides) => {
+          assert.strictEqual(_.has(forwardedMessage, 'properties.headers.rascal.history'), false);
+          assert.deepStrictEqual(_.map(overrides.options.headers.rascal.history, 'attempt'), [2, 3, 1]);
+          assert.strictEqual(message.properties.headers.rascal.history, previous);
+          done();
+        },
+      };
+      session.config = { history: { limit: 3 } };
+      subscriberError = new SubscriberError(broker, vhost);
+      subscriberError.handle(session, message, new Error('oh no'), { strategy: 'forward', publication: 'p1' }, assert.ifError);
+    });
+
+    it('should optionally record a truncated stack', (test, done) => {
+      const err = new Error('oh no');
+      err.stack = 'x'.repeat(2000);
+      session.config = { history: { stack: true } };
+      subscriberError = new SubscriberError({}, vhost);
+      subscriberError.handle(session, getMessage(), err, { strategy: 'republish' }, (err) => {
+        assert.ifError(err);
+        const history = published[0].headers.rascal.history;
+        assert.strictEqual(history[0].error.stack.length, 1024);
+        done();
+      });
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const assert = require('assert');
 const _ = require('lodash').runInContext();
 const async = require('async');
+const zlib = require('zlib');
 const amqplib = require('amqplib/callback_api');
 const uuid = require('uuid').v4;
 const testConfig = require('../lib/config/tests');
@@ -386,6 +387,90 @@ describe('Subscriptions', () => {
     );
   });
 
+  it('should decode messages using the codec registered for the content type', (test, done) => {
+    const codecs = {
+      'text/csv': {
+        encode: (rows) => rows.map((row) => row.join(',')).join('\n'),
+        decode: (buffer) => buffer.toString().split('\n').map((line) => line.split(',')),
+      },
+    };
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      { codecs },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish(
+          'p1',
+          [
+            ['a', 'b'],
+            ['c', 'd'],
+          ],
+          {
+            options: {
+              contentType: 'text/csv',
+            },
+          },
+          (err) => {
+            assert.ifError(err);
+            broker.subscribe('s1', (err, subscription) => {
+              assert.ifError(err);
+              subscription.on('message', (message, content, ackOrNack) => {
+                ackOrNack();
+                assert.strictEqual(message.properties.contentType, 'text/csv');
+                assert.deepStrictEqual(content, [
+                  ['a', 'b'],
+                  ['c', 'd'],
+                ]);
+                done();
+              });
+            });
+          },
+        );
+      },
+    );
+  });
+
+  it('should report invalid_content when a codec fails to decode a message', (test, done) => {
+    const codecs = {
+      'text/csv': {
+        encode: (rows) => rows.map((row) => row.join(',')).join('\n'),
+        decode: () => {
+          throw new Error('Oh Noes!');
+        },
+      },
+    };
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      { codecs },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', [['a', 'b']], { options: { contentType: 'text/csv' } }, (err) => {
+          assert.ifError(err);
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription
+              .on('message', () => {
+                assert.ok(false, 'Message should not have been delivered');
+              })
+              .on('invalid_content', (err, message, ackOrNack) => {
+                ackOrNack();
+                assert.strictEqual(err.message, 'Oh Noes!');
+                done();
+              });
+          });
+        });
+      },
+    );
+  });
+
   it('should not consume invalid messages when no invalid content/message listener is bound', (test, done) => {
     createBroker(
       {
@@ -707,6 +792,267 @@ describe('Subscriptions', () => {
     );
   });
 
+  it('should consume messages in batches', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        async.timesSeries(3, (index, cb) => broker.publish('p1', `test message ${index}`, cb), (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', { batch: { size: 3 } }, (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('batch', (messages, contents, ackOrNack) => {
+              assert.strictEqual(messages.length, 3);
+              assert.deepStrictEqual(contents, ['test message 0', 'test message 1', 'test message 2']);
+              ackOrNack((err) => {
+                assert.ifError(err);
+                broker.shutdown((err) => {
+                  assert.ifError(err);
+                  amqputils.assertMessageAbsent('q1', namespace, done);
+                });
+              });
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should flush partial batches after the batch timeout', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', { batch: { size: 10, timeoutMs: 100 } }, (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('batch', (messages, contents, ackOrNack) => {
+              assert.deepStrictEqual(contents, ['test message']);
+              ackOrNack();
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should recover messages which are not acknowledged within the handler timeout', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', { options: { messageId: 'm1' } }, (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', { handlerTimeout: { timeout: 100, recovery: { strategy: 'nack' } } }, (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', () => {
+              // Simulate a handler which never calls ackOrNack
+            });
+            subscription.on('handler_timeout', (err, message) => {
+              assert.strictEqual(err.message, 'Handler for message: m1 timed out after 100ms');
+              assert.strictEqual(message.properties.messageId, 'm1');
+              setTimeout(() => {
+                broker.shutdown((err) => {
+                  assert.ifError(err);
+                  amqputils.assertMessageAbsent('q1', namespace, done);
+                });
+              }, 100);
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should acknowledge duplicate messages', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+            prefetch: 1,
+            deduplicate: {
+              store: 'inMemory',
+            },
+          },
+        },
+        deduplication: {
+          stores: {
+            inMemory: {},
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        async.timesSeries(2, (index, cb) => broker.publish('p1', 'test message', { options: { messageId: 'm1' } }, cb), (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            let received = 0;
+            subscription.on('message', (message, content, ackOrNack) => {
+              assert.strictEqual(++received, 1);
+              ackOrNack();
+            });
+            subscription.on('duplicate', (message) => {
+              assert.strictEqual(message.properties.messageId, 'm1');
+              setTimeout(() => {
+                broker.shutdown((err) => {
+                  assert.ifError(err);
+                  amqputils.assertMessageAbsent('q1', namespace, done);
+                });
+              }, 100);
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should serialise processing of messages with the same order key', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        const payloads = [
+          { key: 'a', n: 1 },
+          { key: 'a', n: 2 },
+          { key: 'b', n: 3 },
+          { key: 'a', n: 4 },
+        ];
+        async.eachSeries(payloads, (payload, cb) => broker.publish('p1', payload, cb), (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', { orderBy: (message, content) => content.key }, (err, subscription) => {
+            assert.ifError(err);
+            const inProgress = {};
+            const handled = [];
+            subscription.on('message', (message, content, ackOrNack) => {
+              assert.ok(!inProgress[content.key], `Message ${content.n} was handled concurrently with another message for key ${content.key}`);
+              inProgress[content.key] = true;
+              handled.push(content.n);
+              setTimeout(() => {
+                inProgress[content.key] = false;
+                ackOrNack();
+                if (handled.length < payloads.length) return;
+                assert.deepStrictEqual(handled, [1, 3, 2, 4]);
+                subscription.cancel(done);
+              }, 50);
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should route messages to handlers', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        const types = ['order.created', 'order.deleted', 'invoice.created'];
+        async.eachSeries(types, (type, cb) => broker.publish('p1', type, { options: { type } }, cb), (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', { routeFallback: { strategy: 'nack' } }, (err, subscription) => {
+            assert.ifError(err);
+            const routed = [];
+            const checkDone = _.after(2, () => {
+              assert.deepStrictEqual(routed.sort(), ['created:order.created', 'foo:order.deleted']);
+              setTimeout(() => {
+                broker.shutdown((err) => {
+                  assert.ifError(err);
+                  amqputils.assertMessage('dlq', namespace, 'invoice.created', done);
+                });
+              }, 100);
+            });
+            subscription
+              .route({ type: 'order.created' }, (message, content, ackOrNack) => {
+                routed.push(`created:${content}`);
+                ackOrNack(checkDone);
+              })
+              .route({ routingKey: 'foo', type: 'order.deleted' }, (message, content, ackOrNack) => {
+                routed.push(`foo:${content}`);
+                ackOrNack(checkDone);
+              });
+          });
+        });
+      },
+    );
+  });
+
+  it('should filter messages', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+            filter: {
+              match: {
+                routingKey: 'foo',
+                headers: {
+                  wanted: true,
+                },
+              },
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        async.eachSeries([false, true], (wanted, cb) => broker.publish('p1', `wanted: ${wanted}`, { options: { headers: { wanted } } }, cb), (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              assert.strictEqual(content, 'wanted: true');
+              assert.strictEqual(subscription.getFilteredMessageCount(), 1);
+              ackOrNack();
+              setTimeout(() => {
+                broker.shutdown((err) => {
+                  assert.ifError(err);
+                  amqputils.assertMessageAbsent('q1', namespace, done);
+                });
+              }, 100);
+            });
+          });
+        });
+      },
+    );
+  });
+
   it('should consume all acknowledged messages', (test, done) => {
     createBroker(
       {
@@ -1100,6 +1446,147 @@ describe('Subscriptions', () => {
     );
   });
 
+  it('should recover messages which exceed the redeliveries limit using the subscription policy', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+            redeliveries: {
+              limit: 2,
+              counter: 'inMemory',
+            },
+            redeliveriesExceeded: { strategy: 'nack' },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err) => {
+          assert.ifError(err);
+
+          let deliveries = 0;
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              ackOrNack(new Error('oh no'), { strategy: 'nack', requeue: true });
+              if (++deliveries < 3) return;
+              setTimeout(() => {
+                assert.strictEqual(deliveries, 3);
+                broker.shutdown((err) => {
+                  assert.ifError(err);
+                  amqputils.assertMessage('dlq', namespace, 'test message', done);
+                });
+              }, 200);
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should count redeliveries using the x-delivery-count header of quorum queues', (test, done) => {
+    createBroker(
+      {
+        vhosts: _.defaultsDeep(
+          {
+            '/': {
+              queues: {
+                q1: {
+                  options: {
+                    durable: true,
+                    arguments: {
+                      'x-queue-type': 'quorum',
+                    },
+                  },
+                },
+              },
+            },
+          },
+          vhosts,
+        ),
+        publications,
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+            redeliveries: {
+              limit: 3,
+              counter: 'xDeliveryCount',
+            },
+          },
+        },
+        redeliveries: {
+          counters: {
+            xDeliveryCount: {},
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription
+              .on('message', (message, content, ackOrNack) => {
+                ackOrNack(new Error('oh no'), { strategy: 'nack', requeue: true });
+              })
+              .on('redeliveries_exceeded', (err, message, ackOrNack) => {
+                assert.strictEqual(message.properties.headers.rascal.redeliveries, 4);
+                ackOrNack();
+                subscription.cancel(done);
+              });
+          });
+        });
+      },
+    );
+  });
+
+  it('should count redeliveries of messages without a messageId using their fingerprint', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+            redeliveries: {
+              limit: 3,
+              counter: 'inMemory',
+              fingerprint: true,
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        amqputils.publishMessage('e1', namespace, Buffer.from('test message'), { routingKey: 'foo' }, (err) => {
+          assert.ifError(err);
+
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription
+              .on('message', (message, content, ackOrNack) => {
+                assert.strictEqual(message.properties.messageId, undefined);
+                ackOrNack(new Error('oh no'), { strategy: 'nack', requeue: true });
+              })
+              .on('redeliveries_exceeded', (err, message, ackOrNack) => {
+                assert.strictEqual(message.properties.headers.rascal.redeliveries, 4);
+                ackOrNack();
+                subscription.cancel(done);
+              });
+          });
+        });
+      },
+    );
+  });
+
   it('should notify when redeliveries error is exceeded', (test, done) => {
     createBroker(
       {
@@ -1395,6 +1882,69 @@ describe('Subscriptions', () => {
     );
   });
 
+  it('should republish messages via wait queues when requested', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err) => {
+          assert.ifError(err);
+
+          let numberOfMessages = 0;
+          const startTime = Date.now();
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              numberOfMessages++;
+              if (numberOfMessages < 3) return ackOrNack(new Error('retry later'), { strategy: 'delayed-republish', backoff: { min: 100, max: 200 } });
+              ackOrNack();
+              assert.ok(Date.now() - startTime >= 300, 'Republish was not delayed');
+              assert.strictEqual(message.properties.headers.rascal.recovery[broker.qualify('/', 'q1')].delayed, 2);
+              assert.strictEqual(message.properties.headers.rascal.error.message, 'retry later');
+              assert.strictEqual(message.fields.routingKey, 'foo');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should cap delayed republishes when requested', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', assert.ifError);
+
+        let count = 0;
+        broker.subscribe('s1', (err, subscription) => {
+          assert.ifError(err);
+          subscription.on('message', (message, content, ackOrNack) => {
+            count++;
+            ackOrNack(new Error('retry later'), [
+              { strategy: 'delayed-republish', backoff: { delay: 50 }, attempts: 3 },
+              { strategy: 'ack' },
+            ]);
+          });
+        });
+
+        setTimeout(() => {
+          assert.strictEqual(count, 4);
+          done();
+        }, 1000);
+      },
+    );
+  });
+
   it('should defer republishing messages when requested', (test, done) => {
     createBroker(
       {
@@ -1407,17 +1957,98 @@ describe('Subscriptions', () => {
         broker.publish('p1', 'test message', (err) => {
           assert.ifError(err);
 
-          let numberOfMessages = 0;
-          const startTime = new Date().getTime();
+          let numberOfMessages = 0;
+          const startTime = new Date().getTime();
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              assert.ok(message);
+              numberOfMessages++;
+              if (numberOfMessages < 10) return ackOrNack(new Error('republish'), { strategy: 'republish', defer: 100 });
+              ackOrNack();
+              const stopTime = new Date().getTime();
+              assert.ok(stopTime - startTime >= 900, 'Republish was not deferred');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should immediately nack republished messages when requested', (test, done) => {
+    createBroker(
+      {
+        vhosts: {
+          '/': {
+            namespace,
+            exchanges: {
+              e1: {
+                assert: true,
+              },
+              e2: {
+                assert: true,
+              },
+            },
+            queues: {
+              q1: {
+                assert: true,
+                options: {
+                  arguments: {
+                    'x-dead-letter-exchange': 'e2',
+                  },
+                },
+              },
+              q2: {
+                assert: true,
+              },
+            },
+            bindings: {
+              b1: {
+                source: 'e1',
+                destination: 'q1',
+              },
+              b2: {
+                source: 'e2',
+                destination: 'q2',
+              },
+            },
+          },
+        },
+        publications: _.pick(publications, 'p1'),
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+          },
+          s2: {
+            vhost: '/',
+            queue: 'q2',
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err) => {
+          assert.ifError(err);
+
           broker.subscribe('s1', (err, subscription) => {
             assert.ifError(err);
+            let count = 0;
             subscription.on('message', (message, content, ackOrNack) => {
+              assert.strictEqual(++count, 1);
               assert.ok(message);
-              numberOfMessages++;
-              if (numberOfMessages < 10) return ackOrNack(new Error('republish'), { strategy: 'republish', defer: 100 });
+              ackOrNack(new Error('immediate nack'), {
+                strategy: 'republish',
+                immediateNack: true,
+              });
+            });
+          });
+
+          broker.subscribe('s2', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
               ackOrNack();
-              const stopTime = new Date().getTime();
-              assert.ok(stopTime - startTime >= 900, 'Republish was not deferred');
               done();
             });
           });
@@ -1426,7 +2057,7 @@ describe('Subscriptions', () => {
     );
   });
 
-  it('should immediately nack republished messages when requested', (test, done) => {
+  it('should immediately nack messages republished by the subscription recovery policy', (test, done) => {
     createBroker(
       {
         vhosts: {
@@ -1470,6 +2101,7 @@ describe('Subscriptions', () => {
           s1: {
             vhost: '/',
             queue: 'q1',
+            recovery: { strategy: 'republish', immediateNack: true },
           },
           s2: {
             vhost: '/',
@@ -1488,10 +2120,7 @@ describe('Subscriptions', () => {
             subscription.on('message', (message, content, ackOrNack) => {
               assert.strictEqual(++count, 1);
               assert.ok(message);
-              ackOrNack(new Error('immediate nack'), {
-                strategy: 'republish',
-                immediateNack: true,
-              });
+              ackOrNack(new Error('immediate nack'));
             });
           });
 
@@ -1793,6 +2422,47 @@ describe('Subscriptions', () => {
             assert.strictEqual(message.properties.headers.CC[0], `${broker.qualify('/', 'q1')}.bar`);
             assert.strictEqual(message.properties.headers.rascal.error.message, 'forward me');
             assert.strictEqual(message.properties.headers.rascal.error.code, 'red');
+            assert.strictEqual(message.properties.headers.rascal.history.length, 1);
+            assert.strictEqual(message.properties.headers.rascal.history[0].strategy, 'forward');
+            assert.strictEqual(message.properties.headers.rascal.history[0].error.message, 'forward me');
+            done();
+          });
+        });
+      },
+    );
+  });
+
+  it('should recover messages using the subscription recovery policy', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions: _.defaultsDeep(
+          {
+            s1: {
+              recovery: [{ strategy: 'forward', publication: 'p2' }],
+            },
+          },
+          subscriptions,
+        ),
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', assert.ifError);
+
+        broker.subscribe('s1', (err, subscription) => {
+          assert.ifError(err);
+          subscription.on('message', (message, content, ackOrNack) => {
+            ackOrNack(new Error('forward me'));
+          });
+        });
+
+        broker.subscribe('s2', (err, subscription) => {
+          assert.ifError(err);
+          subscription.on('message', (message, content, ackOrNack) => {
+            ackOrNack();
+            assert.strictEqual(message.properties.headers.rascal.recovery[broker.qualify('/', 'q1')].forwarded, 1);
+            assert.strictEqual(message.properties.headers.rascal.error.message, 'forward me');
             done();
           });
         });
@@ -2167,6 +2837,41 @@ describe('Subscriptions', () => {
     );
   });
 
+  it('should recover messages using custom recovery strategies', (test, done) => {
+    const recoveryStrategies = {
+      audit: {
+        execute(session, message, err, strategyConfig, next) {
+          assert.strictEqual(err.message, 'audit me');
+          assert.strictEqual(strategyConfig.level, 'warn');
+          next(null, false);
+        },
+      },
+    };
+
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      { recoveryStrategies },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', assert.ifError);
+
+        broker.subscribe('s1', (err, subscription) => {
+          assert.ifError(err);
+          subscription.on('message', (message, content, ackOrNack) => {
+            ackOrNack(new Error('audit me'), [{ strategy: 'audit', level: 'warn' }, { strategy: 'ack' }], (err) => {
+              assert.ifError(err);
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
   it('should not rollback message when shutting down broker after ack', (test, done) => {
     createBroker(
       {
@@ -2802,6 +3507,135 @@ describe('Subscriptions', () => {
     );
   });
 
+  it('should decompress messages', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            queue: 'q1',
+            compression: 'deflate',
+          },
+        },
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', { message: 'test message' }, (err) => {
+          assert.ifError(err);
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              ackOrNack();
+              assert.strictEqual(message.properties.contentEncoding, 'deflate');
+              assert.strictEqual(content.message, 'test message');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should decrypt and decompress messages', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications: {
+          p1: {
+            queue: 'q1',
+            compression: 'gzip',
+            encryption: {
+              name: 'well-known',
+              key: 'f81db52a3b2c717fe65d9a3b7dd04d2a08793e1a28e3083db3ea08db56e7c315',
+              ivLength: 16,
+              algorithm: 'aes-256-cbc',
+            },
+          },
+        },
+        subscriptions: {
+          s1: {
+            vhost: '/',
+            queue: 'q1',
+            encryption: {
+              'well-known': {
+                key: 'f81db52a3b2c717fe65d9a3b7dd04d2a08793e1a28e3083db3ea08db56e7c315',
+                ivLength: 16,
+                algorithm: 'aes-256-cbc',
+              },
+            },
+          },
+        },
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.publish('p1', 'test message', (err) => {
+          assert.ifError(err);
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              ackOrNack();
+              assert.strictEqual(content, 'test message');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
+  it('should report invalid_content when decompression fails', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        amqputils.publishMessage('e1', namespace, Buffer.from('not gzip'), { routingKey: 'foo', contentType: 'text/plain', contentEncoding: 'gzip' }, (err) => {
+          assert.ifError(err);
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription
+              .on('message', () => {
+                assert.ok(false, 'Message should not have been delivered');
+              })
+              .on('invalid_content', (err, message, ackOrNack) => {
+                ackOrNack();
+                assert.strictEqual(err.code, 'Z_DATA_ERROR');
+                done();
+              });
+          });
+        });
+      },
+    );
+  });
+
+  it('should not decompress messages with an unknown content encoding', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        amqputils.publishMessage('e1', namespace, zlib.gzipSync('test message'), { routingKey: 'foo', contentEncoding: 'x-unknown' }, (err) => {
+          assert.ifError(err);
+          broker.subscribe('s1', (err, subscription) => {
+            assert.ifError(err);
+            subscription.on('message', (message, content, ackOrNack) => {
+              ackOrNack();
+              assert.strictEqual(zlib.gunzipSync(content).toString(), 'test message');
+              done();
+            });
+          });
+        });
+      },
+    );
+  });
+
   it('should emit cancelled event when the broker cancels the consumer', (test, done) => {
     createBroker(
       {
@@ -2942,9 +3776,94 @@ describe('Subscriptions', () => {
     );
   });
 
-  function createBroker(config, next) {
+  it('should pause and resume subscriptions', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.subscribe('s1', (err, subscription) => {
+          assert.ifError(err);
+          const received = [];
+          subscription.on('message', (message, content, ackOrNack) => {
+            received.push(content);
+            ackOrNack();
+            if (received.length === 2) {
+              assert.deepStrictEqual(received, ['before pause', 'after pause']);
+              subscription.cancel(done);
+            }
+          });
+          subscription.on('error', assert.ifError);
+          subscription.on('cancelled', () => assert.fail('Pausing should not emit cancelled events'));
+          broker.publish('p1', 'before pause', (err) => {
+            assert.ifError(err);
+            setTimeout(() => {
+              subscription.pause((err) => {
+                assert.ifError(err);
+                assert.ok(subscription.isPaused());
+                broker.publish('p1', 'after pause', (err) => {
+                  assert.ifError(err);
+                  setTimeout(() => {
+                    assert.strictEqual(received.length, 1);
+                    subscription.resume(assert.ifError);
+                  }, 200);
+                });
+              });
+            }, 100);
+          });
+        });
+      },
+    );
+  });
+  it('should open the circuit, probe and resume when message handlers fail', (test, done) => {
+    createBroker(
+      {
+        vhosts,
+        publications,
+        subscriptions,
+      },
+      (err, broker) => {
+        assert.ifError(err);
+        broker.subscribe('s1', { circuitBreaker: { window: 2, threshold: 0.5, cooldown: 500 } }, (err, subscription) => {
+          assert.ifError(err);
+          const events = [];
+          let openedAt;
+          subscription.on('message', (message, content, ackOrNack) => {
+            events.push(content);
+            if (content !== 'probe') return ackOrNack(new Error('oh no'), { strategy: 'nack' });
+            assert.ok(Date.now() - openedAt >= 450, 'Probe was delivered before the cooldown expired');
+            ackOrNack();
+          });
+          subscription.on('circuit_open', (err) => {
+            events.push('circuit_open');
+            assert.strictEqual(err.message, 'oh no');
+            openedAt = Date.now();
+            setTimeout(() => {
+              assert.ok(subscription.isPaused());
+              broker.publish('p1', 'probe', assert.ifError);
+            }, 100);
+          });
+          subscription.on('circuit_closed', () => {
+            events.push('circuit_closed');
+            assert.deepStrictEqual(events, ['m1', 'm2', 'circuit_open', 'probe', 'circuit_closed']);
+            assert.ok(!subscription.isPaused());
+            subscription.cancel(done);
+          });
+          subscription.on('error', assert.ifError);
+          broker.publish('p1', 'm1', assert.ifError);
+          broker.publish('p1', 'm2', assert.ifError);
+        });
+      },
+    );
+  });
+
+  function createBroker(config, components, next) {
+    if (arguments.length === 2) return createBroker(config, {}, arguments[1]);
     config = _.defaultsDeep(config, testConfig);
-    Broker.create(config, (err, _broker) => {
+    Broker.create(config, components, (err, _broker) => {
       broker = _broker;
       next(err, broker);
     });
@@ -536,6 +536,80 @@ describe('Subscriptions As Promised', () => {
     });
   });
 
+  it('should acknowledge messages when the handler resolves', (test, done) => {
+    createBroker({
+      vhosts,
+      publications,
+      subscriptions,
+    }).then((broker) => {
+      broker.publish('p1', 'test message').then(() => {
+        broker.subscribe('s1').then((subscription) => {
+          subscription.handle(async (content) => {
+            assert.strictEqual(content, 'test message');
+            setTimeout(() => {
+              broker.shutdown().then(() => {
+                amqputils.assertMessageAbsent('q1', namespace, done);
+              });
+            }, 100);
+          });
+        });
+      });
+    });
+  });
+
+  it('should recover messages when the handler rejects', (test, done) => {
+    createBroker({
+      vhosts,
+      publications,
+      subscriptions,
+    }).then((broker) => {
+      broker.publish('p1', 'test message').then(() => {
+        let count = 0;
+        broker.subscribe('s1').then((subscription) => {
+          subscription.handle(
+            async (content, message) => {
+              if (++count < 3) throw new Error('Oh Noes');
+              assert.strictEqual(message.properties.headers.rascal.recovery[broker.qualify('/', 'q1')].republished, 2);
+              done();
+            },
+            { recovery: { strategy: 'republish' } },
+          );
+        });
+      });
+    });
+  });
+
+  it('should limit the number of concurrent handlers', (test, done) => {
+    createBroker({
+      vhosts,
+      publications,
+      subscriptions,
+    }).then((broker) => {
+      const promises = new Array(6).fill().map(() => {
+        return broker.publish('p1', 'test message');
+      });
+
+      Promise.all(promises).then(() => {
+        let running = 0;
+        let handled = 0;
+        broker.subscribe('s1').then((subscription) => {
+          subscription.handle(
+            async () => {
+              running++;
+              assert.ok(running <= 2, 'Concurrency was exceeded');
+              await new Promise((resolve) => {
+                setTimeout(resolve, 50);
+              });
+              running--;
+              if (++handled === 6) done();
+            },
+            { concurrency: 2 },
+          );
+        });
+      });
+    });
+  });
+
   it('should consume rejected messages by default', (test, done) => {
     createBroker({
       vhosts,
@@ -1691,6 +1765,39 @@ describe('Subscriptions As Promised', () => {
     });
   });
 
+  it('should pause and resume subscriptions', (test, done) => {
+    createBroker({
+      vhosts,
+      publications,
+      subscriptions,
+    }).then((broker) => {
+      broker.subscribe('s1').then((subscription) => {
+        const received = [];
+        subscription.on('message', (message, content, ackOrNack) => {
+          received.push(content);
+          ackOrNack();
+          if (received.length === 1) {
+            subscription
+              .pause()
+              .then(() => broker.publish('p1', 'after pause'))
+              .then(() => new Promise((resolve) => {
+                setTimeout(resolve, 200);
+              }))
+              .then(() => {
+                assert.strictEqual(received.length, 1);
+                return subscription.resume();
+              });
+          }
+          if (received.length === 2) {
+            assert.deepStrictEqual(received, ['before pause', 'after pause']);
+            subscription.cancel().then(done);
+          }
+        });
+        broker.publish('p1', 'before pause');
+      });
+    });
+  });
+
   it('should limit concurrent messages using dynamic channel prefetch while subscribing', (test, done) => {
     createBroker({
       vhosts,
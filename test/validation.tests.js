@@ -422,128 +422,729 @@ describe('Validation', () => {
         },
       );
     });
+
+    it('should report unknown compression algorithms', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          publications: {
+            p1: {
+              vhost: 'v1',
+              queue: 'q1',
+              compression: 'lzma',
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Publication: p1 refers to an unknown compression algorithm: lzma', err.message);
+        },
+      );
+    });
+
+    it('should mandate confirms for publications with an outbox', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          publications: {
+            p1: {
+              vhost: 'v1',
+              queue: 'q1',
+              confirm: false,
+              outbox: {
+                file: 'p1.outbox',
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Publication: p1 must use confirms to use an outbox', err.message);
+        },
+      );
+    });
+
+    it('should report outbox files shared by multiple publications', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          publications: {
+            p1: {
+              name: 'p1',
+              vhost: 'v1',
+              queue: 'q1',
+              confirm: true,
+              outbox: {
+                file: 'shared.outbox',
+              },
+            },
+            p2: {
+              name: 'p2',
+              vhost: 'v1',
+              queue: 'q1',
+              confirm: true,
+              outbox: {
+                file: 'shared.outbox',
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Publication: p1 outbox file: shared.outbox is also used by publication: p2', err.message);
+        },
+      );
+    });
+
+    it('should report invalid delay tiers', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              exchanges: {
+                e1: {},
+              },
+            },
+          },
+          publications: {
+            p1: {
+              vhost: 'v1',
+              exchange: 'e1',
+              delays: {
+                mode: 'queues',
+                tiers: [1000, -1],
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Publication: p1 has an invalid delay tier: -1', err.message);
+        },
+      );
+    });
+
+    it('should report unknown delay modes', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              exchanges: {
+                e1: {},
+              },
+            },
+          },
+          publications: {
+            p1: {
+              vhost: 'v1',
+              exchange: 'e1',
+              delays: {
+                mode: 'later',
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Publication: p1 refers to an unknown delay mode: later', err.message);
+        },
+      );
+    });
+
+    it('should mandate an x-delayed-message exchange for x-delayed-message delays', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              exchanges: {
+                e1: {
+                  type: 'topic',
+                },
+              },
+            },
+          },
+          publications: {
+            p1: {
+              vhost: 'v1',
+              exchange: 'e1',
+              delays: {
+                mode: 'x-delayed-message',
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Publication: p1 refers to exchange: e1 which is not an x-delayed-message exchange', err.message);
+        },
+      );
+    });
   });
 
-  describe('Subscriptions', () => {
-    it('should mandate a vhost', () => {
+  describe('Subscriptions', () => {
+    it('should mandate a vhost', () => {
+      validate(
+        {
+          vhosts: {
+            '/': {},
+          },
+          subscriptions: {
+            s1: {},
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 is missing a vhost', err.message);
+        },
+      );
+    });
+
+    it('should mandate a queue', () => {
+      validate(
+        {
+          vhosts: {
+            '/': {},
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 is missing a queue', err.message);
+        },
+      );
+    });
+
+    it('should report unknown vhosts (a)', () => {
+      validate(
+        {
+          vhosts: {
+            '/': {},
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 refers to an unknown vhost: v1', err.message);
+        },
+      );
+    });
+
+    it('should report unknown vhosts (b)', () => {
+      validate(
+        {
+          vhosts: {
+            '/': {},
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 refers to an unknown vhost: v1', err.message);
+        },
+      );
+    });
+
+    it('should report unknown queues (a)', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {},
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 refers to an unknown queue: q1 in vhost: v1', err.message);
+        },
+      );
+    });
+
+    it('should report unknown queues (b)', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {},
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 refers to an unknown queue: q1 in vhost: v1', err.message);
+        },
+      );
+    });
+
+    it('should report unknown counters', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              redeliveries: {
+                counter: 'c1',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {},
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 refers to an unknown counter: c1 in vhost: v1', err.message);
+        },
+      );
+    });
+
+    it('should report invalid batch sizes', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              batch: {
+                size: 0,
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 has an invalid batch size: 0', err.message);
+        },
+      );
+    });
+
+    it('should report batch sizes exceeding the prefetch', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              prefetch: 5,
+              batch: {
+                size: 10,
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 batch size: 10 exceeds its prefetch: 5', err.message);
+        },
+      );
+    });
+
+    it('should report batches combined with handler timeouts', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              batch: {
+                size: 10,
+              },
+              handlerTimeout: {
+                timeout: 1000,
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 cannot specify both batch and handlerTimeout', err.message);
+        },
+      );
+    });
+
+    it('should report batches combined with ordering', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              batch: {
+                size: 10,
+              },
+              orderBy: (message) => message.properties.correlationId,
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 cannot specify both batch and orderBy', err.message);
+        },
+      );
+    });
+
+    it('should report invalid circuit breaker thresholds', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              circuitBreaker: {
+                threshold: 50,
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 has an invalid circuit breaker threshold: 50', err.message);
+        },
+      );
+    });
+
+    it('should report invalid handler timeouts', () => {
       validate(
         {
           vhosts: {
-            '/': {},
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
           },
           subscriptions: {
-            s1: {},
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              handlerTimeout: {
+                recovery: { strategy: 'nack' },
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
           },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 is missing a vhost', err.message);
+          assert.strictEqual('Subscription: s1 has an invalid handler timeout: undefined', err.message);
         },
       );
     });
 
-    it('should mandate a queue', () => {
+    it('should report unknown deduplication stores', () => {
       validate(
         {
           vhosts: {
-            '/': {},
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
           },
           subscriptions: {
             s1: {
               vhost: 'v1',
+              queue: 'q1',
+              deduplicate: {
+                store: 'd1',
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
             },
           },
+          deduplication: {
+            stores: {},
+          },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 is missing a queue', err.message);
+          assert.strictEqual('Subscription: s1 refers to an unknown deduplication store: d1', err.message);
         },
       );
     });
 
-    it('should report unknown vhosts (a)', () => {
+    it('should report orderBy options which are not functions', () => {
       validate(
         {
           vhosts: {
-            '/': {},
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
           },
           subscriptions: {
             s1: {
               vhost: 'v1',
               queue: 'q1',
+              orderBy: 'properties.headers.orderId',
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
             },
           },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 refers to an unknown vhost: v1', err.message);
+          assert.strictEqual('Subscription: s1 orderBy must be a function', err.message);
         },
       );
     });
 
-    it('should report unknown vhosts (b)', () => {
+    it('should report unknown filter actions', () => {
       validate(
         {
           vhosts: {
-            '/': {},
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
           },
           subscriptions: {
             s1: {
               vhost: 'v1',
               queue: 'q1',
+              filter: {
+                match: {
+                  routingKey: 'a.*',
+                },
+                action: 'requeue',
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
             },
           },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 refers to an unknown vhost: v1', err.message);
+          assert.strictEqual('Subscription: s1 filter refers to an unknown action: requeue', err.message);
         },
       );
     });
 
-    it('should report unknown queues (a)', () => {
+    it('should report unknown recovery strategies', () => {
       validate(
         {
           vhosts: {
-            v1: {},
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
           },
           subscriptions: {
             s1: {
               vhost: 'v1',
               queue: 'q1',
+              handlerTimeout: {
+                timeout: 1000,
+                recovery: [{ strategy: 'republish', attempts: 3 }, { strategy: 'park' }],
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
             },
           },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 refers to an unknown queue: q1 in vhost: v1', err.message);
+          assert.strictEqual('Subscription: s1 refers to an unknown recovery strategy: park', err.message);
         },
       );
     });
 
-    it('should report unknown queues (b)', () => {
+    it('should report unsupported recovery conditions', () => {
       validate(
         {
           vhosts: {
             v1: {
-              queues: {},
+              queues: {
+                q1: {},
+              },
             },
           },
           subscriptions: {
             s1: {
               vhost: 'v1',
               queue: 'q1',
+              handlerTimeout: {
+                timeout: 1000,
+                recovery: { strategy: 'nack', when: { status: 500 } },
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
             },
           },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 refers to an unknown queue: q1 in vhost: v1', err.message);
+          assert.strictEqual('Recovery condition: s1 refers to an unsupported attribute: status', err.message);
         },
       );
     });
 
-    it('should report unknown counters', () => {
+    it('should report invalid history limits', () => {
       validate(
         {
           vhosts: {
@@ -557,18 +1158,167 @@ describe('Validation', () => {
             s1: {
               vhost: 'v1',
               queue: 'q1',
+              history: {
+                limit: 0,
+              },
               redeliveries: {
-                counter: 'c1',
+                counter: 'stub',
               },
             },
           },
           redeliveries: {
-            counters: {},
+            counters: {
+              stub: {},
+            },
           },
         },
         (err) => {
           assert.ok(err);
-          assert.strictEqual('Subscription: s1 refers to an unknown counter: c1 in vhost: v1', err.message);
+          assert.strictEqual('Subscription: s1 has an invalid history limit: 0', err.message);
+        },
+      );
+    });
+
+    it('should report quarantine recovery when quarantine is not configured', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              recovery: [{ strategy: 'forward', publication: 'p1' }, { strategy: 'quarantine' }],
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 refers to the quarantine recovery strategy, but quarantine is not configured', err.message);
+        },
+      );
+    });
+
+    it('should report randomised backoff for delayed-republish recovery', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              recovery: { strategy: 'delayed-republish', backoff: { strategy: 'linear', min: 1000, max: 5000 } },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Subscription: s1 uses a randomised linear backoff for the delayed-republish recovery strategy', err.message);
+        },
+      );
+    });
+
+    it('should permit custom recovery strategies', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              queues: {
+                q1: {},
+              },
+            },
+          },
+          subscriptions: {
+            s1: {
+              vhost: 'v1',
+              queue: 'q1',
+              handlerTimeout: {
+                timeout: 1000,
+                recovery: { strategy: 'park' },
+              },
+              redeliveries: {
+                counter: 'stub',
+              },
+            },
+          },
+          redeliveries: {
+            counters: {
+              stub: {},
+            },
+          },
+        },
+        {
+          recoveryStrategies: {
+            park: { execute: () => {} },
+          },
+        },
+        (err) => {
+          assert.ifError(err);
+        },
+      );
+    });
+
+    it('should report custom recovery strategies without an execute function', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {},
+          },
+        },
+        {
+          recoveryStrategies: {
+            park: { run: () => {} },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Recovery strategy: park is missing an execute function', err.message);
+        },
+      );
+    });
+
+    it('should report custom recovery strategies which conflict with built in strategies', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {},
+          },
+        },
+        {
+          recoveryStrategies: {
+            'fallback-nack': { execute: () => {} },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Recovery strategy: fallback-nack conflicts with a built in strategy', err.message);
         },
       );
     });
@@ -673,6 +1423,29 @@ describe('Validation', () => {
     });
   });
 
+  describe('Counters', () => {
+    it('should mandate a file for file counters', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {},
+          },
+          redeliveries: {
+            counters: {
+              c1: {
+                type: 'file',
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Counter: c1 is missing a file', err.message);
+        },
+      );
+    });
+  });
+
   describe('Vocabulary', () => {
     it('should report invalid vhost attribute', () => {
       validate(
@@ -762,6 +1535,26 @@ describe('Validation', () => {
       );
     });
 
+    it('should mandate the x-delayed-type argument for x-delayed-message exchanges', () => {
+      validate(
+        {
+          vhosts: {
+            v1: {
+              exchanges: {
+                e1: {
+                  type: 'x-delayed-message',
+                },
+              },
+            },
+          },
+        },
+        (err) => {
+          assert.ok(err);
+          assert.strictEqual('Exchange: e1 in vhost: v1 is missing the x-delayed-type argument', err.message);
+        },
+      );
+    });
+
     it('should report invalid queues attributes', () => {
       validate(
         {
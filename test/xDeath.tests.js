@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { parseXDeath } = require('../lib/amqp/XDeath');
+
+describe('XDeath', () => {
+  it('should parse x-death records', () => {
+    const message = {
+      properties: {
+        headers: {
+          'x-death': [
+            {
+              count: 2,
+              reason: 'rejected',
+              queue: 'q1',
+              time: { '!': 'timestamp', value: 1700000000 },
+              exchange: 'e1',
+              'routing-keys': ['foo'],
+            },
+            {
+              count: 1,
+              reason: 'expired',
+              queue: 'q1.delay.1000',
+              exchange: '',
+            },
+          ],
+        },
+      },
+    };
+
+    assert.deepStrictEqual(parseXDeath(message), [
+      {
+        queue: 'q1',
+        exchange: 'e1',
+        routingKeys: ['foo'],
+        reason: 'rejected',
+        count: 2,
+        time: new Date('2023-11-14T22:13:20.000Z'),
+      },
+      {
+        queue: 'q1.delay.1000',
+        exchange: '',
+        routingKeys: [],
+        reason: 'expired',
+        count: 1,
+        time: undefined,
+      },
+    ]);
+  });
+
+  it('should return an empty list for messages which have not been dead lettered', () => {
+    assert.deepStrictEqual(parseXDeath({ properties: { headers: {} } }), []);
+  });
+});